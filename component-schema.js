@@ -0,0 +1,253 @@
+/**
+ * Component schema for blocks and components
+ *
+ * Every block and component template starts with a header comment that
+ * documents its contract. This module reads that header together with the
+ * <yield> slots declared in the markup:
+ *
+ * <!--
+ *   Card Event Component
+ *   WordPress: Reusable partial for event listings
+ *
+ *   ACF Fields:
+ *   - event_title (text)
+ *   - event_link (link) - optional
+ *
+ *   Required yields: title, month, day
+ *
+ *   Variant classes (required):
+ *   - card-event--adult: primary color tag + date
+ *
+ *   Usage:
+ *   <include src="components/card-event/card-event.html">...</include>
+ * -->
+ *
+ * Recognised header lines:
+ * - First line: title
+ * - "WordPress: ..." mapping note
+ * - "ACF Fields:" list, nested with indentation for repeaters
+ * - "Usage...:" example markup (one example per "Usage" heading, labelled by
+ *   its parenthesised text, e.g. "Usage (without padding):")
+ * - "Variant classes (required):" / "Class variants:" list of "- class: description"
+ * - "Required yields: a, b" comma-separated yield names
+ * - "Scripts: initCarousels (js/animations/carousel.js)" init functions the
+ *   markup needs, with the module (relative to src) that exports them
+ * - "Note: ..." free text
+ */
+
+import { readFileSync } from 'fs';
+import { basename, dirname } from 'path';
+import posthtml from 'posthtml';
+
+/**
+ * Read and parse a block/component template
+ * @param {string} filePath - Absolute path to the template
+ * @param {string} encoding - File encoding
+ */
+export function readComponentSchema(filePath, encoding = 'utf8') {
+  return parseComponentSchema(readFileSync(filePath, encoding), filePath);
+}
+
+/**
+ * Parse a template's header comment and yield slots
+ * @param {string} source - Template source
+ * @param {string} filePath - Path used to name the component
+ */
+export function parseComponentSchema(source, filePath = '') {
+  const headerMatch = source.match(/^\s*<!--([\s\S]*?)-->/);
+  const header = parseHeader(headerMatch ? headerMatch[1] : '');
+  const markup = headerMatch ? source.slice(headerMatch[0].length) : source;
+
+  return {
+    name: basename(dirname(filePath)),
+    file: filePath,
+    ...header,
+    yields: parseYields(markup),
+    markup: markup.trim()
+  };
+}
+
+function parseHeader(comment) {
+  const header = {
+    title: '',
+    wordpress: '',
+    acfFields: [],
+    usage: [],
+    variants: [],
+    variantsRequired: false,
+    requiredYields: [],
+    scripts: [],
+    notes: []
+  };
+
+  const lines = dedent(comment.split('\n'));
+  let section = null;
+  let example = null;
+
+  for (const line of lines) {
+    const text = line.trim();
+
+    // Blank line ends the current section
+    if (!text) {
+      section = null;
+      example = null;
+      continue;
+    }
+
+    if (!header.title) {
+      header.title = text;
+      continue;
+    }
+
+    let match;
+
+    if ((match = text.match(/^WordPress:\s*(.*)$/))) {
+      header.wordpress = match[1];
+      section = null;
+    } else if (/^ACF Fields\b.*:$/.test(text)) {
+      section = 'acf';
+    } else if ((match = text.match(/^Usage\b\s*(?:\(([^)]*)\))?[^:]*:\s*(.*)$/))) {
+      section = 'usage';
+      example = { label: match[1] || '', lines: [] };
+      header.usage.push(example);
+      if (match[2]) header.notes.push(match[2]);
+    } else if (/^(Variant classes|Class variants)\b.*:$/.test(text)) {
+      section = 'variants';
+      header.variantsRequired = header.variantsRequired || /\(required\)/.test(text);
+    } else if ((match = text.match(/^Required yields:\s*(.*)$/))) {
+      header.requiredYields = match[1].split(',').map(name => name.trim()).filter(Boolean);
+      section = null;
+    } else if ((match = text.match(/^Scripts:\s*(.*)$/))) {
+      for (const [, name, module] of match[1].matchAll(/([\w$]+)\s*\(([^)]+)\)/g)) {
+        header.scripts.push({ name, module: module.trim() });
+      }
+      section = null;
+    } else if ((match = text.match(/^Note:\s*(.*)$/))) {
+      header.notes.push(match[1]);
+      section = null;
+    } else if (section === 'acf') {
+      addAcfField(header.acfFields, line);
+    } else if (section === 'usage' && example) {
+      example.lines.push(line);
+    } else if (section === 'variants') {
+      const variant = text.match(/^-\s*([\w-]+):?\s*(.*)$/);
+      if (variant) {
+        header.variants.push({ class: variant[1], description: variant[2] });
+      }
+    }
+  }
+
+  // Usage examples are kept as markup strings
+  header.usage = header.usage
+    .filter(usage => usage.lines.length > 0)
+    .map(usage => ({ label: usage.label, code: dedent(usage.lines).join('\n') }));
+
+  return header;
+}
+
+// "- event_title (text) - optional", nested two spaces deeper for repeater rows
+function addAcfField(fields, line) {
+  const match = line.match(/^(\s*)-\s*([\w-]+)\s*(?:\(([^)]*)\))?\s*(?:-\s*)?(.*)$/);
+  if (!match) return;
+
+  const [, indent, name, type = '', note] = match;
+  const field = {
+    name,
+    type: type.trim(),
+    optional: /optional/i.test(note) || /optional/i.test(type),
+    note: note.trim(),
+    children: []
+  };
+
+  const parent = fields[fields.length - 1];
+  if (indent.length > 0 && parent) {
+    parent.children.push(field);
+  } else {
+    fields.push(field);
+  }
+}
+
+// Collect the <yield> slots a template declares (not yields it passes to nested includes)
+function parseYields(markup) {
+  const yields = new Map();
+
+  const add = (name, props) => {
+    const existing = yields.get(name);
+    yields.set(name, { name, hasDefault: false, default: '', optional: false, attribute: null, ...existing, ...props });
+  };
+
+  // Yields inside attribute values can't be parsed as nodes - pull them out first
+  const attrPattern = /(\w+)="([^"]*<yield\s+name=["'][^"']+["'][^>]*>[^<]*<\/yield>[^"]*)"/g;
+  const yieldPattern = /<yield\s+name=["']([^"']+)["'][^>]*>([^<]*)<\/yield>/g;
+
+  const stripped = markup.replace(attrPattern, (match, attrName, attrValue) => {
+    for (const [, name, defaultContent] of attrValue.matchAll(yieldPattern)) {
+      add(name, { attribute: attrName, hasDefault: defaultContent.trim().length > 0, default: defaultContent.trim() });
+    }
+    return `${attrName}=""`;
+  });
+
+  const tree = posthtml().process(stripped, { sync: true }).tree;
+
+  const walk = (nodes, conditional) => {
+    if (!Array.isArray(nodes)) return;
+
+    for (const node of nodes) {
+      if (!node || typeof node !== 'object') continue;
+
+      if (node.tag === 'yield' && node.attrs && node.attrs.name) {
+        const optional = node.attrs.optional === '' || node.attrs.optional === 'true' || node.attrs.optional === true;
+        add(node.attrs.name, {
+          hasDefault: hasContent(node.content),
+          default: hasContent(node.content) ? renderContent(node.content) : '',
+          optional: optional || conditional.has(node.attrs.name)
+        });
+        walk(node.content, conditional);
+      } else if (node.tag === 'include' || node.tag === 'extends') {
+        // Children of a nested include are its arguments, not our slots
+        for (const child of node.content || []) {
+          if (child && typeof child === 'object') walk(child.content, conditional);
+        }
+      } else if ((node.tag === 'if' || node.tag === 'unless') && node.attrs && node.attrs.yield) {
+        add(node.attrs.yield, { optional: true });
+        walk(node.content, new Set([...conditional, node.attrs.yield]));
+      } else {
+        walk(node.content, conditional);
+      }
+    }
+  };
+
+  walk(tree, new Set());
+
+  return [...yields.values()];
+}
+
+function hasContent(content) {
+  if (!Array.isArray(content)) return false;
+
+  return content.some(item => {
+    if (typeof item === 'string') {
+      const text = item.trim();
+      return text.length > 0 && !text.startsWith('<!--');
+    }
+    return item && typeof item === 'object';
+  });
+}
+
+// Default markup of a yield, without comments or the template's indentation
+function renderContent(content) {
+  const nodes = content.filter(item => typeof item !== 'string' || !item.trim().startsWith('<!--'));
+  const html = posthtml().process(nodes, { sync: true, skipParse: true }).html;
+
+  return dedent(html.replace(/^\s*\n/, '').trimEnd().split('\n')).join('\n').trim();
+}
+
+// Strip the common leading indentation from a block of lines
+function dedent(lines) {
+  const indents = lines
+    .filter(line => line.trim())
+    .map(line => line.match(/^\s*/)[0].length);
+  const min = indents.length ? Math.min(...indents) : 0;
+
+  return lines.map(line => line.slice(min));
+}
@@ -0,0 +1,274 @@
+/**
+ * Markdown pages
+ *
+ * Turns a Markdown file with front matter into page markup for the usual
+ * pipeline (Nunjucks, catalog, yield-include). The front matter picks the
+ * layout and fills its yields; the Markdown body becomes the content yield.
+ *
+ * ---
+ * layout: layouts/base.html
+ * title: Survival | Denver Butterfly Pavilion
+ * description: Meet Rosie the tarantula and dozens of other arthropods.
+ * ---
+ *
+ * Blocks and components are written as directives that expand to <include>s:
+ *
+ * :::image-text class="section bg-light"
+ * ::image
+ * ![Rosie the tarantula](/assets/images/client-images/exhibit-survival.jpg)
+ * ::headline
+ * Meet Rosie
+ * ::content
+ * Markdown for the **content** yield.
+ * ::button
+ * [Plan Your Visit](/visit/)
+ * :::
+ *
+ * - The name after ::: is a block in src/blocks, or else a component in src/components
+ * - key="value" pairs after the name are plain text yields
+ * - ::name starts a Markdown yield; a single line renders inline (no <p>)
+ * - A lone image or link takes on the template's default markup for that
+ *   yield: images get its class, links become the same button include
+ * - An outer directive with more colons (::::) can contain other directives
+ *
+ * Layout defaults to layouts/base.html; every other front matter key is a yield.
+ * Plain Markdown between blocks is wrapped in a .section .container.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve, relative } from 'path';
+import MarkdownIt from 'markdown-it';
+import YAML from 'yaml';
+import posthtml from 'posthtml';
+import { readComponentSchema } from './component-schema.js';
+import { escapeHtml } from './posthtml-catalog.js';
+
+const md = new MarkdownIt({ html: true, typographer: true });
+
+const OPEN_DIRECTIVE = /^(:{3,})\s*([\w-]+)(.*)$/;
+const YIELD_MARKER = /^::([\w.-]+)\s*$/;
+
+/**
+ * Page markup for a Markdown file
+ * @param {string} filePath - Absolute path to the .md file
+ * @param {Object} options - { root, encoding }
+ * @returns {string} HTML for the page pipeline
+ */
+export function renderMarkdownPage(filePath, options = {}) {
+  const root = options.root || process.cwd();
+  const encoding = options.encoding || 'utf8';
+  const ctx = { root, encoding, file: relative(root, filePath), templates: new Map() };
+
+  const { data, body, bodyLine } = parseFrontMatter(readFileSync(filePath, encoding), ctx);
+  const { layout = 'layouts/base.html', ...yields } = data;
+  const content = renderBody(body.split(/\r?\n/), bodyLine, ctx, true);
+
+  return [
+    `<extends src="${escapeHtml(layout)}">`,
+    ...Object.entries(yields)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `  <yield name="${escapeHtml(name)}">${escapeHtml(String(value))}</yield>`),
+    `  <yield name="content">\n${content}\n  </yield>`,
+    '</extends>'
+  ].join('\n');
+}
+
+function parseFrontMatter(source, ctx) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { data: {}, body: source, bodyLine: 1 };
+  }
+
+  let data;
+  try {
+    data = YAML.parse(match[1]) || {};
+  } catch (error) {
+    throw new Error(`[markdown] ${ctx.file}: invalid front matter - ${error.message}`);
+  }
+
+  return { data, body: source.slice(match[0].length), bodyLine: match[0].split('\n').length };
+}
+
+// Markdown with directives. firstLine is the file line of lines[0], for errors.
+// At the top level of a page, text between blocks gets a section of its own
+function renderBody(lines, firstLine, ctx, isPage = false) {
+  const output = [];
+  let markdown = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = lines[i].match(OPEN_DIRECTIVE);
+    if (!open) {
+      markdown.push(lines[i]);
+      continue;
+    }
+
+    const line = firstLine + i;
+    const end = findClose(lines, i, open[1], ctx, line);
+
+    output.push(renderMarkdown(markdown, isPage));
+    markdown = [];
+
+    output.push(renderDirective(open[2], open[3], lines.slice(i + 1, end), line, ctx));
+    i = end;
+  }
+
+  output.push(renderMarkdown(markdown, isPage));
+  return output.join('').trim();
+}
+
+function renderMarkdown(lines, isSection) {
+  const html = md.render(lines.join('\n'));
+  if (!isSection || !html.trim()) return html;
+
+  return `<section class="section">\n<div class="container">\n${html}</div>\n</section>\n`;
+}
+
+// Index of the line closing the directive opened at lines[start]
+function findClose(lines, start, fence, ctx, line) {
+  const close = new RegExp(`^${fence}\\s*$`);
+
+  for (let i = start + 1; i < lines.length; i++) {
+    if (close.test(lines[i])) return i;
+  }
+
+  throw new Error(`[markdown] ${ctx.file}:${line} "${lines[start].trim()}" is never closed with ${fence}`);
+}
+
+function renderDirective(name, attrs, lines, line, ctx) {
+  const src = resolveTemplate(name, ctx);
+  if (!src) {
+    throw new Error(`[markdown] ${ctx.file}:${line} Unknown directive ":::${name}" - no src/blocks/${name} or src/components/${name}`);
+  }
+
+  const yields = [];
+
+  for (const [, key, value] of attrs.matchAll(/([\w.-]+)="([^"]*)"/g)) {
+    yields.push(`<yield name="${key}">${escapeHtml(value)}</yield>`);
+  }
+
+  for (const section of splitSections(lines, line + 1, name, ctx)) {
+    const html = renderSection(section.lines, section.line, ctx);
+    yields.push(`<yield name="${section.name}">${withTemplateMarkup(html, src, section.name, ctx)}</yield>`);
+  }
+
+  return `<include src="${src}">\n${yields.join('\n')}\n</include>\n`;
+}
+
+// blocks/<name>/<name>.html, or the component of that name
+function resolveTemplate(name, ctx) {
+  return ['blocks', 'components']
+    .map(dir => `${dir}/${name}/${name}.html`)
+    .find(src => existsSync(resolve(ctx.root, src)));
+}
+
+// ::name sections of a directive body. Markers inside nested directives
+// belong to those directives and are skipped over
+function splitSections(lines, firstLine, name, ctx) {
+  const sections = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const marker = lines[i].match(YIELD_MARKER);
+    if (marker) {
+      current = { name: marker[1], line: firstLine + i + 1, lines: [] };
+      sections.push(current);
+      continue;
+    }
+
+    if (!current) {
+      if (lines[i].trim()) {
+        throw new Error(`[markdown] ${ctx.file}:${firstLine + i} Content in ":::${name}" must follow a ::yield line (e.g. ::content)`);
+      }
+      continue;
+    }
+
+    const open = lines[i].match(OPEN_DIRECTIVE);
+    const end = open ? findClose(lines, i, open[1], ctx, firstLine + i) : i;
+    current.lines.push(...lines.slice(i, end + 1));
+    i = end;
+  }
+
+  return sections;
+}
+
+// One line of text renders inline, anything else as Markdown blocks
+function renderSection(lines, firstLine, ctx) {
+  const text = lines.filter(line => line.trim());
+  const isBlock = /^\s*([#>*+|-]|\d+\.|```|:::)/;
+
+  if (text.length === 1 && !isBlock.test(text[0])) {
+    return md.renderInline(text[0].trim());
+  }
+
+  return renderBody(lines, firstLine, ctx);
+}
+
+// Style a lone image or link like the template's default for the yield
+function withTemplateMarkup(html, src, yieldName, ctx) {
+  const nodes = parse(html.trim()).filter(node => typeof node !== 'string' || node.trim());
+  const node = nodes.length === 1 ? nodes[0] : null;
+  if (!node || (node.tag !== 'img' && node.tag !== 'a')) return html;
+
+  const fallback = templateDefault(src, yieldName, ctx);
+  if (!fallback) return html;
+
+  if (node.tag === 'img') {
+    const image = findNode(fallback, n => n.tag === 'img');
+    for (const attr of ['class', 'loading']) {
+      if (image && image.attrs[attr] && !node.attrs[attr]) {
+        node.attrs[attr] = image.attrs[attr];
+      }
+    }
+    return render([node]);
+  }
+
+  const button = findNode(fallback, n => n.tag === 'include' && n.attrs && n.attrs.src === 'components/button/button.html');
+  if (button) {
+    const buttonClass = findNode(button.content || [], n => n.tag === 'yield' && n.attrs.name === 'class');
+    const text = render(node.content || []);
+    return [
+      '<include src="components/button/button.html">',
+      `<yield name="text">${text}</yield>`,
+      `<yield name="url">${node.attrs.href || '#'}</yield>`,
+      buttonClass ? `<yield name="class">${render(buttonClass.content || []).trim()}</yield>` : '',
+      '</include>'
+    ].join('');
+  }
+
+  const link = findNode(fallback, n => n.tag === 'a');
+  if (link && link.attrs && link.attrs.class && !node.attrs.class) {
+    node.attrs.class = link.attrs.class;
+  }
+  return render([node]);
+}
+
+// Default content of <yield name="..."> in a template, or null
+function templateDefault(src, yieldName, ctx) {
+  if (!ctx.templates.has(src)) {
+    const schema = readComponentSchema(resolve(ctx.root, src), ctx.encoding);
+    ctx.templates.set(src, parse(schema.markup));
+  }
+
+  const node = findNode(ctx.templates.get(src), n => n.tag === 'yield' && n.attrs && n.attrs.name === yieldName);
+  return node ? node.content || [] : null;
+}
+
+function findNode(nodes, test) {
+  for (const node of nodes) {
+    if (!node || typeof node !== 'object') continue;
+    if (test(node)) return node;
+
+    const found = Array.isArray(node.content) ? findNode(node.content, test) : null;
+    if (found) return found;
+  }
+
+  return null;
+}
+
+function parse(html) {
+  return posthtml().process(html, { sync: true }).tree;
+}
+
+function render(nodes) {
+  return posthtml().process(nodes, { sync: true, skipParse: true }).html;
+}
@@ -0,0 +1,247 @@
+/**
+ * Component playground
+ *
+ * Dev-server pages for trying a block or component with different content,
+ * instead of a throwaway page in src/pages. /__playground/ lists every block
+ * and component; picking one shows a form with a field for each yield its
+ * template declares (see component-schema.js), filled with the template
+ * defaults, next to a preview. The preview is a page of its own, rendered
+ * through the same pipeline as the site's pages, and reloads as you type.
+ *
+ * The address bar keeps the selection and every field that differs from
+ * the template default, so a playground URL can be shared:
+ * /__playground/?component=blocks/hero&yield.headline=Night+at+the+Pavilion
+ *
+ * Field values are markup, like the content of a <yield>: they can hold
+ * tags, <include>s and <t> markers, but not Nunjucks - {{ }} and {% %} show
+ * as typed. An empty field renders the template
+ * default, the same as an empty <yield>. The "Usage" examples in a
+ * template's header comment can be loaded into the form as a starting point.
+ *
+ * Usage (dev server middleware):
+ * const entries = readPlaygroundEntries('src', 'utf-8');
+ * const shell = renderPlayground(entries, new URLSearchParams('component=blocks/hero'));
+ * const preview = renderPlaygroundPreview(entries, new URLSearchParams('component=blocks/hero'));
+ * res.end(await server.transformIndexHtml('/__playground/index.html', shell));
+ */
+
+import { readdirSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import posthtml from 'posthtml';
+import { readComponentSchema } from './component-schema.js';
+import { displayTitle, escapeHtml } from './posthtml-catalog.js';
+
+// Directories listed in the playground, with their headings
+const SECTIONS = [
+  { dir: 'blocks', title: 'Blocks' },
+  { dir: 'components', title: 'Components' }
+];
+
+// Query parameter prefix of a yield value: yield.headline=...
+const YIELD_PARAM = 'yield.';
+
+/**
+ * Schema of every block and component, keyed by id ("blocks/hero")
+ * @param {string} root - Site root (src)
+ * @param {string} encoding - File encoding
+ * @returns {Map<string, Object>} Schemas with id, src, section and examples
+ */
+export function readPlaygroundEntries(root, encoding = 'utf8') {
+  const entries = new Map();
+
+  for (const section of SECTIONS) {
+    let names;
+    try {
+      names = readdirSync(resolve(root, section.dir), { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+    } catch (e) {
+      // Directory doesn't exist yet
+      continue;
+    }
+
+    for (const name of names) {
+      const file = resolve(root, section.dir, name, `${name}.html`);
+      if (!existsSync(file)) continue;
+
+      const schema = readComponentSchema(file, encoding);
+      const src = `${section.dir}/${name}/${name}.html`;
+
+      entries.set(`${section.dir}/${name}`, {
+        ...schema,
+        id: `${section.dir}/${name}`,
+        src,
+        section: section.dir,
+        examples: readExamples(schema, src)
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Markup of the playground page, for the selected entry if any
+ * @param {Map<string, Object>} entries - From readPlaygroundEntries()
+ * @param {URLSearchParams} params - component and yield.* values
+ * @returns {string} Page markup for the transformIndexHtml pipeline
+ */
+export function renderPlayground(entries, params) {
+  const entry = entries.get(params.get('component')) || null;
+
+  const nav = SECTIONS.map(section => {
+    const links = [...entries.values()]
+      .filter(item => item.section === section.dir)
+      .map(item => `<li><a class="playground__nav-link" href="?component=${encodeURIComponent(item.id)}"${item === entry ? ' aria-current="page"' : ''}>${escapeText(displayTitle(item))}</a></li>`)
+      .join('\n');
+
+    return `
+      <h2 class="playground__nav-title">${section.title}</h2>
+      <ul class="playground__nav-list">
+        ${links}
+      </ul>`;
+  }).join('');
+
+  return `<extends src="layouts/base.html">
+  <yield name="title">Playground | Denver Butterfly Pavilion</yield>
+  <yield name="robots">noindex, nofollow</yield>
+  <yield name="head"><link rel="stylesheet" href="/scss/playground.scss"></yield>
+  <yield name="body">
+    <div class="playground">
+      <nav class="playground__nav" aria-label="Blocks and components">
+        <p class="playground__logo">Playground</p>
+        ${nav}
+      </nav>
+      ${entry ? renderEditor(entry, params) : renderEmpty()}
+    </div>
+  </yield>
+  <yield name="scripts"><script type="module" src="/js/playground.js"></script></yield>
+</extends>`;
+}
+
+/**
+ * Markup of the preview page: the selected entry, included with the yield
+ * values from the query
+ * @param {Map<string, Object>} entries - From readPlaygroundEntries()
+ * @param {URLSearchParams} params - component and yield.* values
+ * @returns {string|null} Page markup, or null for an unknown component
+ */
+export function renderPlaygroundPreview(entries, params) {
+  const entry = entries.get(params.get('component'));
+  if (!entry) return null;
+
+  const yields = [...params]
+    .filter(([key]) => key.startsWith(YIELD_PARAM))
+    .map(([key, value]) => `<yield name="${escapeText(key.slice(YIELD_PARAM.length))}">${escapeBraces(value)}</yield>`)
+    .join('\n');
+
+  const include = `<include src="${entry.src}">\n${yields}\n</include>`;
+
+  // Blocks are full-width sections; components get some room around them
+  const body = entry.section === 'blocks'
+    ? include
+    : `<div class="section"><div class="container">${include}</div></div>`;
+
+  return `<extends src="layouts/base.html">
+  <yield name="title">${escapeText(displayTitle(entry))} | Playground</yield>
+  <yield name="robots">noindex, nofollow</yield>
+  <yield name="body">
+${body}
+  </yield>
+</extends>`;
+}
+
+function renderEmpty() {
+  return `
+      <main class="playground__main">
+        <p class="playground__empty">Pick a block or component to try it with your own content.</p>
+      </main>`;
+}
+
+// Yield form and preview frame for an entry
+function renderEditor(entry, params) {
+  const fields = entry.yields.map(slot => {
+    const param = `${YIELD_PARAM}${slot.name}`;
+    const value = params.has(param) ? params.get(param) : slot.default;
+    const id = `playground-yield-${slot.name.replace(/[^\w-]/g, '-')}`;
+
+    const badges = [
+      entry.requiredYields.includes(slot.name) ? 'required' : '',
+      slot.optional ? 'optional' : '',
+      slot.attribute ? `${slot.attribute}="…"` : ''
+    ].filter(Boolean).map(badge => `<span class="playground__badge">${escapeText(badge)}</span>`).join(' ');
+
+    // Attribute yields hold a single line of text
+    const input = slot.attribute
+      ? `<input class="playground__input" type="text" id="${id}" name="${escapeText(param)}" value="${escapeText(value)}" data-default="${escapeText(slot.default)}">`
+      : `<textarea class="playground__input" id="${id}" name="${escapeText(param)}" rows="${Math.min(12, Math.max(2, value.split('\n').length + 1))}" data-default="${escapeText(slot.default)}">${escapeText(value)}</textarea>`;
+
+    return `
+          <div class="playground__field">
+            <label class="playground__label" for="${id}"><code>${escapeText(slot.name)}</code> ${badges}</label>
+            ${input}
+          </div>`;
+  }).join('');
+
+  const examples = entry.examples.map(example => `<button type="button" class="playground__button" data-playground-example="${escapeText(JSON.stringify(example.yields))}">${escapeText(example.label)}</button>`).join('\n');
+
+  const query = new URLSearchParams([...params].filter(([key]) => key === 'component' || key.startsWith(YIELD_PARAM)));
+  const description = [entry.wordpress, ...entry.notes].filter(Boolean).join(' — ');
+
+  return `
+      <main class="playground__main">
+        <form class="playground__form" data-playground-form data-src="${escapeText(entry.src)}">
+          <h1 class="playground__title">${escapeText(displayTitle(entry))}</h1>
+          ${description ? `<p class="playground__desc">${escapeText(description)}</p>` : ''}
+          <input type="hidden" name="component" value="${escapeText(entry.id)}">
+          ${examples ? `<div class="playground__examples"><span class="playground__examples-label">Load example:</span> ${examples}</div>` : ''}
+          ${fields || '<p class="playground__empty">This template has no yields.</p>'}
+          <div class="playground__actions">
+            <button type="button" class="playground__button" data-playground-defaults>Reset to defaults</button>
+            <button type="button" class="playground__button" data-playground-share>Copy link</button>
+          </div>
+          <pre class="playground__code"><code data-playground-code></code></pre>
+        </form>
+        <div class="playground__preview">
+          <iframe class="playground__frame" title="Preview of ${escapeText(displayTitle(entry))}" src="preview?${escapeText(query.toString())}" data-playground-frame></iframe>
+        </div>
+      </main>`;
+}
+
+// Yield values of the template's "Usage" examples that include it
+function readExamples(schema, src) {
+  const examples = [];
+
+  schema.usage.forEach((usage, index) => {
+    const tree = posthtml().process(usage.code, { sync: true }).tree;
+    const include = tree.find(node => node && node.tag === 'include' && node.attrs && node.attrs.src === src);
+    if (!include) return;
+
+    const yields = {};
+    for (const child of include.content || []) {
+      if (!child || child.tag !== 'yield' || !child.attrs || !child.attrs.name) continue;
+
+      const value = posthtml().process(child.content || [], { sync: true, skipParse: true }).html.trim();
+
+      // "..." stands for the template's default content
+      if (value !== '...') yields[child.attrs.name] = value;
+    }
+
+    const label = usage.label || (schema.usage.length > 1 ? `Example ${index + 1}` : 'Usage');
+    examples.push({ label: label.charAt(0).toUpperCase() + label.slice(1), yields });
+  });
+
+  return examples;
+}
+
+// Both playground pages go through the Nunjucks stage: text is escaped as
+// HTML and its braces too, so {{ }} and {% %} in it aren't run
+function escapeText(text) {
+  return escapeBraces(escapeHtml(text));
+}
+
+// Values are markup, so only their braces are escaped
+function escapeBraces(text) {
+  return text.replace(/\{/g, '&#123;').replace(/\}/g, '&#125;');
+}
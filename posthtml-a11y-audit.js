@@ -0,0 +1,207 @@
+/**
+ * PostHTML plugin that audits a rendered page for accessibility problems
+ *
+ * Runs last, on the page as it will ship: layouts, includes, yields,
+ * translations and icons all resolved. Problems that no single template
+ * shows - an image yield without alt, a block's h4 placed right under the
+ * page's h2 - are reported with the file the element was written in and
+ * the include chain that brought it onto the page (see originTrace() in
+ * posthtml-yield-include.js):
+ *
+ *   img-alt: <img src="/assets/images/bee.jpg"> has no alt attribute
+ *     src/pages/index.html:42:11
+ *       included from src/blocks/image-text/image-text.html:30:7
+ *
+ * Rules (default severity):
+ * - img-alt (error): <img> without an alt attribute. Decorative images
+ *   take alt=""
+ * - heading-order (warn): a heading more than one level below the heading
+ *   before it (h2 followed by h4). Only the tag counts - a class such as
+ *   .h5 changes the look, not the level
+ * - marquee-duplicates (error): items repeated inside a marquee for a
+ *   seamless loop that aren't hidden from assistive technology with
+ *   aria-hidden="true", so screen readers announce the content twice
+ * - button-name (error): a <button> (or role="button") with no accessible
+ *   name - no text, aria-label, aria-labelledby, title or labelled image.
+ *   Usually an icon-only button whose icon is aria-hidden
+ * - link-name (error): the same for <a href>
+ *
+ * Severities are 'error', 'warn' or 'off'; `rules` overrides the defaults.
+ * Content inside aria-hidden="true", <template> and <noscript> is skipped.
+ * Each violation is passed to `onViolation({ rule, severity, message, trace })`.
+ *
+ * Usage:
+ * posthtml([
+ *   yieldInclude({ root: 'src', from: 'src/pages/index.html' }),
+ *   audit({
+ *     from: 'src/pages/index.html',
+ *     rules: { 'heading-order': 'error' },
+ *     onViolation: violation => violations.push(violation)
+ *   })
+ * ])
+ */
+
+import { originTrace } from './posthtml-yield-include.js';
+
+export const DEFAULT_RULES = {
+  'img-alt': 'error',
+  'heading-order': 'warn',
+  'marquee-duplicates': 'error',
+  'button-name': 'error',
+  'link-name': 'error'
+};
+
+const SEVERITIES = ['error', 'warn', 'off'];
+
+// Subtrees that aren't presented to assistive technology
+const SKIPPED_TAGS = ['template', 'noscript', 'script', 'style'];
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+// Attributes that mark an element as a marquee, or its track. Classes don't
+// count - items and wrappers of a marquee have "marquee" in theirs too
+const MARQUEE_ATTRS = ['data-marquee', 'data-marquee-track', 'data-testimonials-marquee', 'data-animate-marquee-stagger'];
+
+export default function audit(options = {}) {
+  const rules = { ...DEFAULT_RULES, ...options.rules };
+  const onViolation = options.onViolation || (() => {});
+
+  for (const [rule, severity] of Object.entries(rules)) {
+    if (!(rule in DEFAULT_RULES)) throw new Error(`[a11y] Unknown audit rule "${rule}"`);
+    if (!SEVERITIES.includes(severity)) throw new Error(`[a11y] Severity of "${rule}" must be one of ${SEVERITIES.join(', ')}, not "${severity}"`);
+  }
+
+  return function plugin(tree) {
+    let previousLevel = 0;
+
+    const report = (rule, node, ancestors, message) => {
+      const severity = rules[rule];
+      if (severity === 'off') return;
+
+      // Elements created after yieldInclude (e.g. responsive <img>s) report
+      // the closest element that has a position
+      const located = [node, ...[...ancestors].reverse()].find(item => item.origin || item.location) || node;
+      onViolation({ rule, severity, message, trace: originTrace(located, options.from) });
+    };
+
+    walk(tree, [], (node, ancestors) => {
+      const attrs = node.attrs || {};
+
+      if (node.tag === 'img' && !('alt' in attrs)) {
+        report('img-alt', node, ancestors, `${describe(node)} has no alt attribute`);
+      }
+
+      const heading = typeof node.tag === 'string' && node.tag.match(HEADING_PATTERN);
+      if (heading) {
+        const level = Number(heading[1]);
+        if (level > previousLevel + 1) {
+          const after = previousLevel ? `an h${previousLevel}` : 'the start of the page';
+          report('heading-order', node, ancestors, `<h${level}> "${truncate(textOf(node))}" follows ${after} - skips h${previousLevel + 1}`);
+        }
+        previousLevel = level;
+      }
+
+      if (node.tag === 'button' || attrs.role === 'button') {
+        if (!hasName(node)) report('button-name', node, ancestors, `${describe(node)} has no accessible name - add text or an aria-label`);
+      } else if (node.tag === 'a' && 'href' in attrs) {
+        if (!hasName(node)) report('link-name', node, ancestors, `${describe(node)} has no accessible name - add text or an aria-label`);
+      }
+
+      if (isMarquee(node)) {
+        const seen = new Set();
+
+        for (const child of elements(node.content)) {
+          const signature = markupSignature(child);
+          if (!signature) continue;
+
+          if (seen.has(signature) && !isHidden(child)) {
+            report('marquee-duplicates', child, [...ancestors, node], `${describe(child)} repeats an earlier item of ${describe(node)} - hide the copy with aria-hidden="true"`);
+          }
+          seen.add(signature);
+        }
+      }
+    });
+
+    return tree;
+  };
+}
+
+// Visit every element presented to assistive technology, with its ancestors
+function walk(nodes, ancestors, callback) {
+  for (const node of elements(nodes)) {
+    if (SKIPPED_TAGS.includes(node.tag) || isHidden(node)) continue;
+
+    if (node.tag) callback(node, ancestors);
+    walk(node.content, node.tag ? [...ancestors, node] : ancestors, callback);
+  }
+}
+
+function elements(nodes) {
+  return (Array.isArray(nodes) ? nodes : []).filter(node => node && typeof node === 'object');
+}
+
+function isHidden(node) {
+  const attrs = node.attrs || {};
+  return attrs['aria-hidden'] === 'true' || 'hidden' in attrs || 'inert' in attrs;
+}
+
+function isMarquee(node) {
+  const attrs = node.attrs || {};
+  return MARQUEE_ATTRS.some(name => name in attrs);
+}
+
+// Whether an element has an accessible name from its attributes or content
+function hasName(node) {
+  const attrs = node.attrs || {};
+  if (['aria-label', 'aria-labelledby', 'title'].some(name => String(attrs[name] || '').trim())) return true;
+
+  return textOf(node).length > 0 || elements(node.content).some(child => !isHidden(child) && labelledContent(child));
+}
+
+// Images and SVGs that name the element they're in
+function labelledContent(node) {
+  const attrs = node.attrs || {};
+  if (node.tag === 'img') return Boolean(String(attrs.alt || '').trim());
+  if (node.tag === 'svg') return Boolean(String(attrs['aria-label'] || '').trim()) || elements(node.content).some(child => child.tag === 'title');
+  if (SKIPPED_TAGS.includes(node.tag)) return false;
+
+  return elements(node.content).some(child => !isHidden(child) && labelledContent(child));
+}
+
+// Visible text of an element, without comments or aria-hidden content
+function textOf(node) {
+  return (Array.isArray(node.content) ? node.content : []).map(item => {
+    if (typeof item === 'string') return item.trimStart().startsWith('<!--') ? '' : item;
+    if (!item || typeof item !== 'object' || SKIPPED_TAGS.includes(item.tag) || isHidden(item) || item.tag === 'svg') return '';
+    return ` ${textOf(item)} `;
+  }).join('').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Markup of an element without whitespace differences, for spotting copies
+function markupSignature(node) {
+  const attrs = Object.entries(node.attrs || {})
+    .filter(([name]) => name !== 'aria-hidden')
+    .map(([name, value]) => `${name}=${value}`)
+    .join(' ');
+  const content = (Array.isArray(node.content) ? node.content : []).map(item => {
+    if (typeof item === 'string') return item.trimStart().startsWith('<!--') ? '' : item.replace(/\s+/g, ' ').trim();
+    return item && typeof item === 'object' ? markupSignature(item) : '';
+  }).join('');
+
+  return node.tag ? `<${node.tag} ${attrs}>${content}</${node.tag}>` : content;
+}
+
+// <img src="..." class="..."> - the attributes that identify an element
+function describe(node) {
+  const attrs = node.attrs || {};
+  const shown = ['id', 'class', 'src', 'href', 'type']
+    .filter(name => typeof attrs[name] === 'string' && attrs[name].trim())
+    .map(name => ` ${name}="${truncate(attrs[name].replace(/\s+/g, ' ').trim())}"`)
+    .join('');
+
+  return `<${node.tag}${shown}>`;
+}
+
+function truncate(text, length = 60) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
@@ -0,0 +1,120 @@
+/**
+ * PostHTML plugin that makes root-relative URLs respect the site base
+ *
+ * Templates link to pages and files from the site root (href="/tickets.html",
+ * src="/assets/images/..."). When the site is deployed under a sub path
+ * (e.g. GitHub Pages at /butterfly-pavilion-2/), those URLs need the base in
+ * front. Runs on the final page HTML, after Vite has processed the assets it
+ * bundles - URLs that already start with the base are left alone.
+ *
+ * Rewritten:
+ * - href, src, srcset, poster, action, data-src and data-srcset attributes
+ * - url(...) in inline style attributes
+ *
+ * Left alone: protocol-relative (//cdn...), absolute (https:, mailto:, tel:,
+ * data:), page-relative (../assets/...) and fragment-only (#main) URLs.
+ *
+ * Usage:
+ * posthtml([baseUrl({ base: '/butterfly-pavilion-2/' })])
+ */
+
+// Attributes that hold a single URL
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'action', 'data-src'];
+
+// Attributes that hold a srcset list ("url 1x, url 2x")
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset'];
+
+export default function baseUrl(options = {}) {
+  const base = options.base || '/';
+
+  return function plugin(tree) {
+    // Nothing to rewrite when the site is served from the root
+    if (base === '/') return tree;
+
+    tree.walk(node => {
+      if (!node.attrs) return node;
+
+      for (const attr of URL_ATTRIBUTES) {
+        if (typeof node.attrs[attr] === 'string') {
+          node.attrs[attr] = withBase(node.attrs[attr], base);
+        }
+      }
+
+      for (const attr of SRCSET_ATTRIBUTES) {
+        if (typeof node.attrs[attr] === 'string') {
+          node.attrs[attr] = mapSrcset(node.attrs[attr], url => withBase(url, base));
+        }
+      }
+
+      if (typeof node.attrs.style === 'string') {
+        node.attrs.style = node.attrs.style.replace(/url\((['"]?)([^'")]+)\1\)/g,
+          (match, quote, url) => `url(${quote}${withBase(url, base)}${quote})`);
+      }
+
+      return node;
+    });
+
+    return tree;
+  };
+}
+
+/**
+ * Every URL referenced by an element in the tree
+ * @param {Array} tree - PostHTML tree
+ * @returns {Array<{tag: string, attr: string, url: string, line: number}>}
+ */
+export function collectUrls(tree) {
+  const urls = [];
+
+  tree.walk(node => {
+    if (!node.attrs) return node;
+
+    const line = node.location ? node.location.start.line : null;
+    const add = (attr, url) => urls.push({ tag: node.tag, attr, url, line });
+
+    for (const attr of URL_ATTRIBUTES) {
+      if (typeof node.attrs[attr] === 'string') add(attr, node.attrs[attr]);
+    }
+
+    for (const attr of SRCSET_ATTRIBUTES) {
+      if (typeof node.attrs[attr] === 'string') {
+        mapSrcset(node.attrs[attr], url => {
+          add(attr, url);
+          return url;
+        });
+      }
+    }
+
+    if (typeof node.attrs.style === 'string') {
+      for (const [, , url] of node.attrs.style.matchAll(/url\((['"]?)([^'")]+)\1\)/g)) {
+        add('style', url);
+      }
+    }
+
+    return node;
+  });
+
+  return urls;
+}
+
+// Prefix a root-relative URL with the base
+function withBase(url, base) {
+  const value = url.trim();
+
+  if (!value.startsWith('/') || value.startsWith('//') || value.startsWith(base)) {
+    return url;
+  }
+
+  // "/" itself is the site root
+  return base + value.slice(1);
+}
+
+function mapSrcset(srcset, map) {
+  return srcset
+    .split(',')
+    .map(candidate => {
+      const [url, ...descriptors] = candidate.trim().split(/\s+/);
+      return [map(url), ...descriptors].join(' ');
+    })
+    .join(', ');
+}
@@ -0,0 +1,277 @@
+/**
+ * PostHTML plugin that generates a component catalog from header comments
+ *
+ * Scans a directory of blocks or components (e.g. src/blocks/*) and renders,
+ * for each one, a live preview of its "Usage" examples, the example source,
+ * its yields and its ACF fields. Runs before yieldInclude: previews are
+ * emitted as <include> tags, which the yield-include plugin then renders.
+ *
+ * Usage in page:
+ * <catalog src="components"></catalog>
+ * <catalog src="blocks" layout="tabs"></catalog>
+ *
+ * Navigation links to the generated sections:
+ * <ul class="ds-sidebar__list">
+ *   <catalog-nav src="components" link-class="ds-sidebar__link"></catalog-nav>
+ * </ul>
+ *
+ * Layouts:
+ * - sections (default): stacked .ds-section previews, for the design system page
+ * - tabs: full-width .block-section previews with one tab per example, for the blocks page
+ *
+ * Previews:
+ * - One per "Usage" <include> example; yields given as "..." fall back to the
+ *   template default. Partial snippets are only listed as source
+ * - No example: the include with no yields, i.e. the template defaults
+ * - Declared BEM variant classes (e.g. card-event--kids) get a preview each;
+ *   with "Variant classes (required)" they replace the usage examples.
+ *   Variants described "for dark backgrounds" preview on a dark row
+ */
+
+import { readdirSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import posthtml from 'posthtml';
+import { readComponentSchema } from './component-schema.js';
+
+export default function catalog(options = {}) {
+  const root = options.root || process.cwd();
+  const encoding = options.encoding || 'utf8';
+
+  return async function plugin(tree) {
+    const nodes = [];
+
+    tree.walk(node => {
+      if ((node.tag === 'catalog' || node.tag === 'catalog-nav') && node.attrs && node.attrs.src) {
+        nodes.push(node);
+      }
+      return node;
+    });
+
+    for (const node of nodes) {
+      const schemas = readSchemas(root, node.attrs.src, encoding);
+      const html = node.tag === 'catalog'
+        ? schemas.map(schema => renderEntry(schema, node.attrs.layout || 'sections')).join('\n')
+        : schemas.map(schema => renderNavItem(schema, node.attrs['link-class'] || '')).join('\n');
+
+      node.tag = false;
+      node.attrs = {};
+      node.content = (await posthtml().process(html)).tree;
+    }
+
+    return tree;
+  };
+}
+
+// Schemas for every <dir>/<name>/<name>.html, alphabetically
+function readSchemas(root, dir, encoding) {
+  const base = resolve(root, dir);
+
+  let names;
+  try {
+    names = readdirSync(base, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+  } catch (e) {
+    console.warn(`[catalog] Could not read directory: ${base}`);
+    return [];
+  }
+
+  return names
+    .map(name => resolve(base, name, `${name}.html`))
+    .filter(file => existsSync(file))
+    .map(file => ({ ...readComponentSchema(file, encoding), src: `${dir}/${file.split('/').slice(-2).join('/')}` }));
+}
+
+/**
+ * Title of a block or component without its kind
+ * "Card Event Component" -> "Card Event"
+ */
+export function displayTitle(schema) {
+  return schema.title.replace(/\s+(Component|Block)$/, '') || schema.name;
+}
+
+function renderNavItem(schema, linkClass) {
+  return `<li><a href="#${schema.name}" class="${linkClass}">${escapeHtml(displayTitle(schema))}</a></li>`;
+}
+
+function renderEntry(schema, layout) {
+  const previews = buildPreviews(schema);
+  return layout === 'tabs'
+    ? renderTabsEntry(schema, previews)
+    : renderSectionEntry(schema, previews);
+}
+
+function renderSectionEntry(schema, previews) {
+  const previewHtml = previews.map(preview => `
+    <h3 class="ds-subsection__title">${escapeHtml(preview.label)}</h3>
+    <div class="ds-component-row ds-component-row--preview${preview.dark ? ' ds-component-row--dark' : ''}">
+      ${preview.code}
+    </div>`).join('');
+
+  return `
+<section id="${schema.name}" class="ds-section">
+  <h4 class="ds-section__title">${escapeHtml(displayTitle(schema))}</h4>
+  ${renderDescription(schema)}
+  ${previewHtml}
+  ${renderReference(schema)}
+</section>`;
+}
+
+function renderTabsEntry(schema, previews) {
+  const tabs = previews.length > 1
+    ? previews.map((preview, index) => `<button class="block-variant-tab block-variant-tab--clickable${index === 0 ? ' block-variant-tab--active' : ''}" data-variant="${index}">${escapeHtml(preview.label)}</button>`).join('\n')
+    : '<span class="block-variant-tab">No Variants</span>';
+
+  const previewHtml = previews.map((preview, index) => `
+    <div class="block-variant__preview${index === 0 ? ' block-variant__preview--active' : ''}" data-variant="${index}">
+      ${preview.code}
+    </div>`).join('');
+
+  return `
+<section id="${schema.name}" class="block-section">
+  <div class="block-section__header">
+    <h2 class="block-section__title">${escapeHtml(displayTitle(schema))}</h2>
+    ${renderDescription(schema, 'block-section__desc')}
+    <div class="block-variant-tabs">
+      ${tabs}
+    </div>
+  </div>
+  <div class="block-variant-previews">
+    ${previewHtml}
+  </div>
+  <details class="block-section__reference">
+    <summary class="block-section__reference-toggle">Source, yields &amp; ACF fields</summary>
+    ${renderReference(schema)}
+  </details>
+</section>`;
+}
+
+function renderDescription(schema, className = 'ds-section__desc') {
+  const text = [schema.wordpress, ...schema.notes].filter(Boolean).join(' — ');
+  return text ? `<p class="${className}">${escapeHtml(text)}</p>` : '';
+}
+
+// Usage examples, yields table, variant classes and ACF field list
+function renderReference(schema) {
+  const examples = schema.usage.length > 0
+    ? schema.usage
+    : [{ label: '', code: defaultInclude(schema) }];
+
+  const usage = examples.map(example => `
+  ${example.label ? `<p class="ds-code-block__label">${escapeHtml(capitalize(example.label))}</p>` : ''}
+  <div class="ds-code-block">
+    <pre><code>${escapeHtml(example.code)}</code></pre>
+  </div>`).join('');
+
+  const yieldRows = schema.yields.map(y => {
+    const notes = [];
+    if (schema.requiredYields.includes(y.name)) notes.push('required');
+    if (y.optional) notes.push('optional');
+    if (y.attribute) notes.push(`in ${y.attribute}="…"`);
+
+    return `<tr><td><code>${escapeHtml(y.name)}</code></td><td>${y.hasDefault ? 'Yes' : '—'}</td><td>${notes.join(', ') || '—'}</td></tr>`;
+  }).join('\n');
+
+  const variants = schema.variants.length > 0
+    ? `<h3 class="ds-subsection__title">Variant Classes${schema.variantsRequired ? ' (required)' : ''}</h3>
+    <ul class="ds-field-list">
+      ${schema.variants.map(v => `<li><code>${escapeHtml(v.class)}</code> ${escapeHtml(v.description)}</li>`).join('\n')}
+    </ul>`
+    : '';
+
+  const acf = schema.acfFields.length > 0
+    ? `<h3 class="ds-subsection__title">ACF Fields</h3>
+    ${renderAcfFields(schema.acfFields)}`
+    : '';
+
+  return `
+  <h3 class="ds-subsection__title">Usage</h3>
+  ${usage}
+
+  <h3 class="ds-subsection__title">Yields</h3>
+  <table class="ds-table">
+    <thead><tr><th>Yield</th><th>Default</th><th>Notes</th></tr></thead>
+    <tbody>
+      ${yieldRows}
+    </tbody>
+  </table>
+  ${variants}
+  ${acf}`;
+}
+
+function renderAcfFields(fields) {
+  const items = fields.map(field => {
+    const type = field.type ? ` <span class="ds-field-list__type">(${escapeHtml(field.type)})</span>` : '';
+    const note = field.note ? ` ${escapeHtml(field.note)}` : '';
+    const children = field.children.length > 0 ? renderAcfFields(field.children) : '';
+    return `<li><code>${escapeHtml(field.name)}</code>${type}${note}${children}</li>`;
+  }).join('\n');
+
+  return `<ul class="ds-field-list">${items}</ul>`;
+}
+
+// Labelled preview markup for each usage example and variant class
+function buildPreviews(schema) {
+  // Only complete <include> examples can be rendered, not partial snippets
+  const examples = schema.usage.filter(usage => /^<include\b/.test(usage.code.trim()));
+  const usagePreviews = examples.length > 0
+    ? examples.map(usage => ({ label: usage.label ? capitalize(usage.label) : 'Default', code: previewCode(usage.code) }))
+    : [{ label: 'Default', code: defaultInclude(schema) }];
+
+  const variantPreviews = schema.variants
+    .filter(variant => variant.class.includes('--'))
+    .map(variant => ({
+      label: variant.class,
+      code: withVariantClass(usagePreviews[0].code, variant.class),
+      dark: /dark background/i.test(variant.description)
+    }))
+    // The usage example may already show one of the variants
+    .filter(variant => schema.variantsRequired || !usagePreviews.some(preview => preview.code === variant.code));
+
+  return schema.variantsRequired && variantPreviews.length > 0
+    ? variantPreviews
+    : [...usagePreviews, ...variantPreviews];
+}
+
+function defaultInclude(schema) {
+  return `<include src="${schema.src}"></include>`;
+}
+
+// Drop "..." placeholders so the template's default content renders instead
+function previewCode(source) {
+  return source
+    .replace(/<yield\s+name=["'][^"']+["']>\s*\.\.\.\s*<\/yield>/g, '')
+    .replace(/(<include\b[^>]*>)\s*\.\.\.\s*(<\/include>)/g, '$1$2');
+}
+
+// Set a variant class on the example's top-level include via its "class" yield
+function withVariantClass(code, variantClass) {
+  const prefix = variantClass.slice(0, variantClass.indexOf('--') + 2);
+  const classYield = /^(\s*<include\b[^>]*>[\s\S]*?<yield\s+name=["']class["']>)([^<]*)(<\/yield>)/;
+
+  if (classYield.test(code)) {
+    return code.replace(classYield, (match, open, classes, close) => {
+      // Swap out any other variant of the same block, keep utility classes
+      const kept = classes.split(/\s+/).filter(cls => cls && !cls.startsWith(prefix));
+      return `${open}${[...kept, variantClass].join(' ')}${close}`;
+    });
+  }
+
+  return code.replace(/^(\s*<include\b[^>]*>)/, `$1<yield name="class">${variantClass}</yield>`);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,160 @@
+/**
+ * PostHTML plugin that replaces Font Awesome <i> tags with inline SVG
+ *
+ * <i class="fa-solid fa-bug card-icon__glyph"></i>
+ * becomes
+ * <svg class="icon fa-solid fa-bug card-icon__glyph" viewBox="0 0 576 512" aria-hidden="true" focusable="false">
+ *   <path fill="currentColor" d="..."></path>
+ * </svg>
+ *
+ * so pages need no icon kit script and render icons offline. Icons are
+ * 1em tall and take the text colour (see .icon in scss/_utilities.scss).
+ *
+ * Icons are looked up by style and name:
+ * 1. assets/icons/<style>/<name>.svg under the site root - project icons,
+ *    e.g. assets/icons/solid/bee.svg, which Font Awesome Free doesn't have
+ * 2. The Font Awesome Free packages (@fortawesome/free-solid-svg-icons,
+ *    free-regular-svg-icons and free-brands-svg-icons), including their
+ *    aliases for renamed icons
+ *
+ * Styles: fa-solid / fas (the default), fa-regular / far, fa-brands / fab.
+ * An <i> with aria-label or title becomes a labelled role="img"; any other
+ * icon is hidden from assistive technology. Unknown icons are left as they
+ * are, with a warning naming the page.
+ *
+ * Usage:
+ * posthtml([icons({ root: 'src', from: 'src/pages/index.html' })])
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve, relative } from 'path';
+import posthtml from 'posthtml';
+import { fas } from '@fortawesome/free-solid-svg-icons';
+import { far } from '@fortawesome/free-regular-svg-icons';
+import { fab } from '@fortawesome/free-brands-svg-icons';
+
+const STYLES = {
+  'fa-solid': 'solid',
+  fas: 'solid',
+  'fa-regular': 'regular',
+  far: 'regular',
+  'fa-brands': 'brands',
+  fab: 'brands'
+};
+
+const PACKS = { solid: fas, regular: far, brands: fab };
+
+// fa-* classes that size or animate an icon rather than name it
+const MODIFIERS = /^fa-(\d+x|2xs|xs|sm|lg|xl|2xl|fw|spin|spin-pulse|spin-reverse|pulse|beat|beat-fade|bounce|fade|flip|shake|border|inverse|li|ul|stack|stack-1x|stack-2x|pull-left|pull-right|rotate-\w+|flip-\w+)$/;
+
+// Icon definitions per style, keyed by name and alias
+let packIcons = null;
+
+export default function icons(options = {}) {
+  const root = options.root || process.cwd();
+  const dir = options.dir || resolve(root, 'assets/icons');
+  const from = options.from ? relative(root, options.from) : 'page';
+
+  return function plugin(tree) {
+    const unknown = new Set();
+
+    tree.walk(node => {
+      if (node.tag !== 'i' || !node.attrs || typeof node.attrs.class !== 'string') return node;
+
+      const classes = node.attrs.class.split(/\s+/).filter(Boolean);
+      const name = iconName(classes);
+      if (!name) return node;
+
+      const style = STYLES[classes.find(className => className in STYLES)] || 'solid';
+      const icon = localIcon(dir, style, name) || packIcon(style, name);
+
+      if (!icon) {
+        unknown.add(`fa-${style} fa-${name}`);
+        return node;
+      }
+
+      return renderIcon(icon, classes, node.attrs);
+    });
+
+    if (unknown.size > 0) {
+      console.warn(`[icons] ${from}: unknown icon(s) ${[...unknown].join(', ')} - add an SVG to ${relative(root, dir)}/<style>/ or use a Font Awesome Free name`);
+    }
+
+    return tree;
+  };
+}
+
+// "bug" for ["fa-solid", "fa-bug", "fa-fw"]
+function iconName(classes) {
+  const name = classes.find(className => className.startsWith('fa-')
+    && !(className in STYLES)
+    && !MODIFIERS.test(className));
+
+  return name ? name.slice(3) : null;
+}
+
+// { width, height, content } from assets/icons/<style>/<name>.svg
+function localIcon(dir, style, name) {
+  const file = resolve(dir, style, `${name}.svg`);
+  if (!existsSync(file)) return null;
+
+  const svg = posthtml().process(readFileSync(file, 'utf-8'), { sync: true }).tree
+    .find(node => node && node.tag === 'svg');
+  if (!svg) return null;
+
+  const [, , width, height] = (svg.attrs.viewBox || '0 0 512 512').split(/[\s,]+/).map(Number);
+
+  // Drop the file's comments and indentation
+  const content = (svg.content || []).filter(item => typeof item !== 'string' || (item.trim() && !item.trim().startsWith('<!--')));
+  return { width, height, content };
+}
+
+// { width, height, content } from the Font Awesome Free packages
+function packIcon(style, name) {
+  if (!packIcons) {
+    packIcons = {};
+
+    for (const [packStyle, pack] of Object.entries(PACKS)) {
+      packIcons[packStyle] = new Map();
+
+      for (const definition of Object.values(pack)) {
+        const [width, height, aliases, , pathData] = definition.icon;
+        const icon = { width, height, content: paths(pathData) };
+
+        for (const alias of [definition.iconName, ...aliases.filter(alias => typeof alias === 'string')]) {
+          if (!packIcons[packStyle].has(alias)) packIcons[packStyle].set(alias, icon);
+        }
+      }
+    }
+  }
+
+  return packIcons[style].get(name) || null;
+}
+
+// Duotone icons have two paths, the others one
+function paths(pathData) {
+  return [].concat(pathData).map(d => ({ tag: 'path', attrs: { fill: 'currentColor', d } }));
+}
+
+function renderIcon(icon, classes, attrs) {
+  const label = attrs['aria-label'] || attrs.title;
+  const svgAttrs = {
+    class: ['icon', ...classes].join(' '),
+    viewBox: `0 0 ${icon.width} ${icon.height}`,
+    fill: 'currentColor'
+  };
+
+  for (const [name, value] of Object.entries(attrs)) {
+    if (name !== 'class' && name !== 'title' && name !== 'aria-label') svgAttrs[name] = value;
+  }
+
+  if (label) {
+    svgAttrs.role = 'img';
+    svgAttrs['aria-label'] = label;
+  } else {
+    svgAttrs['aria-hidden'] = 'true';
+  }
+  svgAttrs.focusable = 'false';
+
+  return { tag: 'svg', attrs: svgAttrs, content: icon.content };
+}
@@ -0,0 +1,139 @@
+/**
+ * PostHTML plugin that makes a page one locale's copy of the site
+ *
+ * Runs on the page markup after yieldInclude has resolved includes and
+ * translations. For the page at `route` in `locale`:
+ * - <html lang> is set to the locale
+ * - Root-relative page links (href="/exhibits/", href="/") point into the
+ *   locale's tree (/es/exhibits/) - the default locale lives at the root
+ * - <locale-links> expands to one list item per locale, linking to this
+ *   page in that locale, labelled in its own language:
+ *
+ *   <ul class="site-header__locales">
+ *     <locale-links class="site-header__locale"></locale-links>
+ *   </ul>
+ *
+ *   <li><a href="/exhibits/" hreflang="en" lang="en" class="site-header__locale">English</a></li>
+ *   <li><a href="/es/exhibits/" hreflang="es" lang="es" class="site-header__locale" aria-current="true">Español</a></li>
+ *
+ * The named export alternates() adds a <link rel="alternate" hreflang="...">
+ * to <head> for every locale's copy of the page, plus x-default for the
+ * default locale's. It takes the same options, and runs on the final page
+ * HTML - Vite would otherwise try to bundle the linked pages as assets.
+ *
+ * Usage:
+ * posthtml([locales({ locale: 'es', locales: ['en', 'es'], defaultLocale: 'en', route: 'exhibits' })])
+ */
+
+export default function locales(options = {}) {
+  const { locale, codes, prefix, pageUrl } = resolveOptions(options);
+
+  return function plugin(tree) {
+    const switchers = [];
+
+    tree.walk(node => {
+      if (node.tag === 'html') {
+        node.attrs = { ...node.attrs, lang: locale };
+      }
+
+      if (node.tag === 'a' && node.attrs && typeof node.attrs.href === 'string') {
+        node.attrs.href = localizeHref(node.attrs.href, prefix(locale), codes);
+      }
+
+      if (node.tag === 'locale-links') switchers.push(node);
+
+      return node;
+    });
+
+    // Expanded after the walk so the links to other locales stay as they are
+    for (const node of switchers) {
+      const linkClass = node.attrs && node.attrs.class;
+
+      node.tag = false;
+      node.attrs = {};
+      node.content = codes.flatMap(code => [{
+        tag: 'li',
+        content: [{
+          tag: 'a',
+          attrs: {
+            href: pageUrl(code),
+            hreflang: code,
+            lang: code,
+            ...(linkClass ? { class: linkClass } : {}),
+            ...(code === locale ? { 'aria-current': 'true' } : {})
+          },
+          content: [languageName(code)]
+        }]
+      }, '\n']);
+    }
+
+    return tree;
+  };
+}
+
+/**
+ * <link rel="alternate" hreflang> tags for every locale's copy of the page
+ * @param {Object} options - Same as locales()
+ * @returns {Function} PostHTML plugin
+ */
+export function alternates(options = {}) {
+  const { defaultLocale, codes, pageUrl } = resolveOptions(options);
+
+  return function plugin(tree) {
+    if (codes.length < 2) return tree;
+
+    tree.match({ tag: 'head' }, head => {
+      const links = [
+        ...codes.map(code => ({ hreflang: code, href: pageUrl(code) })),
+        { hreflang: 'x-default', href: pageUrl(defaultLocale) }
+      ];
+
+      head.content = [
+        ...(head.content || []),
+        ...links.flatMap(attrs => ['  ', { tag: 'link', attrs: { rel: 'alternate', ...attrs } }, '\n'])
+      ];
+      return head;
+    });
+
+    return tree;
+  };
+}
+
+// Defaults and page URLs shared by both plugins
+function resolveOptions(options) {
+  const defaultLocale = options.defaultLocale || 'en';
+  const route = options.route || '';
+  const prefix = code => (code === defaultLocale ? '/' : `/${code}/`);
+
+  return {
+    defaultLocale,
+    locale: options.locale || defaultLocale,
+    codes: options.locales || [defaultLocale],
+    prefix,
+    pageUrl: code => `${prefix(code)}${route ? `${route}/` : ''}`
+  };
+}
+
+// Point a root-relative page link into a locale's tree. Files (anything with
+// an extension) and links already inside a locale are left alone
+function localizeHref(href, prefix, codes) {
+  if (prefix === '/' || !href.startsWith('/') || href.startsWith('//')) return href;
+
+  const [path] = href.split(/[?#]/);
+  if (/\.[\w]+$/.test(path)) return href;
+
+  const [first] = path.slice(1).split('/');
+  if (codes.includes(first)) return href;
+
+  return `${prefix}${href.slice(1)}`;
+}
+
+// "es" -> "Español", in the language itself
+function languageName(code) {
+  try {
+    const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+  } catch (e) {
+    return code;
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * PostHTML plugin that turns local images into responsive <picture>s
+ *
+ * Finds every <img> that points at a raster file under the site root (e.g.
+ * /assets/images/client-images/IMG_6072 (1) 1.jpg), generates width variants
+ * in AVIF, WebP and the original format with sharp, and rewrites the tag:
+ *
+ * <picture>
+ *   <source type="image/avif" srcset="/assets/images/generated/img-6072-1-1-5d41a4-480w.avif 480w, ..." sizes="100vw">
+ *   <source type="image/webp" srcset="/assets/images/generated/img-6072-1-1-5d41a4-480w.webp 480w, ..." sizes="100vw">
+ *   <img src="/assets/images/generated/img-6072-1-1-5d41a4-1200w.jpg" srcset="..." sizes="100vw" width="1200" height="900" alt="...">
+ * </picture>
+ *
+ * Generated files get normalised names (lowercase, no spaces or brackets)
+ * plus a hash of the source path, so images with the same file name in
+ * different folders never share variants. They're written once, then reused
+ * until the source image changes. Runs on the page markup after yieldInclude;
+ * Vite then bundles the generated files like any other image. <picture> is
+ * display: contents in the reset, so existing img styles and layouts are
+ * unaffected.
+ *
+ * Attributes on the <img>:
+ * - sizes: kept as is (default: options.sizes)
+ * - width / height: kept if set, otherwise the intrinsic size
+ * - data-crop="4:3": crop every variant to this aspect ratio
+ * - data-focal="30% 60%": the point to keep in view, for data-crop and as the
+ *   object-position of images cropped with object-fit: cover
+ * - data-responsive="false": leave the tag alone
+ *
+ * Skipped: SVG and GIF files, external URLs and images already in a <picture>.
+ *
+ * Usage:
+ * posthtml([responsiveImages({ root: 'src' })])
+ */
+
+import { existsSync, mkdirSync, statSync } from 'fs';
+import { resolve, relative, basename, extname } from 'path';
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+
+// Fallback <img> format for each source format
+const FALLBACK_FORMATS = {
+  jpeg: 'jpeg',
+  png: 'png',
+  webp: 'webp',
+  tiff: 'jpeg'
+};
+
+const EXTENSIONS = {
+  avif: 'avif',
+  webp: 'webp',
+  jpeg: 'jpg',
+  png: 'png'
+};
+
+const QUALITY = {
+  avif: { quality: 50, effort: 2 },
+  webp: { quality: 75 },
+  jpeg: { quality: 78, mozjpeg: true },
+  png: { compressionLevel: 9 }
+};
+
+// Variants being written, by target path. Pages are transformed at the same
+// time, and pages that share an image (or a page and its translation) ask for
+// the same files - they wait for the one write instead of starting another
+const writes = new Map();
+
+export default function responsiveImages(options = {}) {
+  const root = options.root || process.cwd();
+  const outDir = options.outDir || resolve(root, 'assets/images/generated');
+  const widths = options.widths || [480, 960, 1440, 1920];
+  const formats = options.formats || ['avif', 'webp'];
+  const defaultSizes = options.sizes || '100vw';
+  const outUrl = `/${relative(root, outDir).split('\\').join('/')}`;
+
+  return async function plugin(tree) {
+    const images = [];
+    const inPicture = new Set();
+
+    tree.walk(node => {
+      if (node.tag === 'picture' && Array.isArray(node.content)) {
+        markImages(node.content, inPicture);
+      }
+
+      if (node.tag === 'img' && node.attrs && !inPicture.has(node)) {
+        images.push(node);
+      }
+
+      return node;
+    });
+
+    for (const node of images) {
+      const file = sourceFile(node.attrs, root);
+      if (!file) continue;
+
+      const picture = await buildPicture(node, file);
+      if (picture) {
+        node.tag = 'picture';
+        node.attrs = {};
+        node.content = picture;
+      }
+    }
+
+    return tree;
+  };
+
+  async function buildPicture(node, file) {
+    let metadata;
+    try {
+      metadata = await sharp(file).metadata();
+    } catch (error) {
+      console.warn(`[responsive-images] Could not read ${relative(root, file)}: ${error.message}`);
+      return null;
+    }
+
+    const fallback = FALLBACK_FORMATS[metadata.format];
+    if (!fallback) return null;
+
+    const attrs = node.attrs;
+    const focal = parseFocal(attrs['data-focal']);
+    const ratio = parseRatio(attrs['data-crop']);
+    const region = cropRegion(metadata, ratio, focal);
+    const variantWidths = [
+      ...widths.filter(width => width < Math.min(region.width, Math.max(...widths))),
+      Math.min(region.width, Math.max(...widths))
+    ];
+
+    const name = outputName(file, ratio ? region : null);
+    const sizes = attrs.sizes || defaultSizes;
+    const srcset = async format => {
+      const urls = [];
+      for (const width of variantWidths) {
+        urls.push(`${outUrl}/${await writeVariant(file, region, width, format, name)} ${width}w`);
+      }
+      return urls.join(', ');
+    };
+
+    const sources = [];
+    for (const format of formats.filter(format => format !== fallback)) {
+      sources.push({ tag: 'source', attrs: { type: `image/${format}`, srcset: await srcset(format), sizes } });
+    }
+
+    const largest = variantWidths[variantWidths.length - 1];
+    const img = { tag: 'img', attrs: { ...attrs } };
+
+    img.attrs.srcset = await srcset(fallback);
+    img.attrs.src = img.attrs.srcset.split(', ').pop().split(' ')[0];
+    img.attrs.sizes = sizes;
+
+    if (!attrs.width && !attrs.height) {
+      img.attrs.width = String(largest);
+      img.attrs.height = String(Math.round(largest * region.height / region.width));
+    }
+
+    if (focal) {
+      const position = `object-position: ${focal.x * 100}% ${focal.y * 100}%`;
+      img.attrs.style = attrs.style ? `${attrs.style.replace(/;?\s*$/, ';')} ${position}` : position;
+    }
+
+    delete img.attrs['data-focal'];
+    delete img.attrs['data-crop'];
+
+    return ['\n', ...sources.flatMap(source => [source, '\n']), img, '\n'];
+  }
+
+  // Write one variant unless an up-to-date copy exists; returns the file name
+  async function writeVariant(file, region, width, format, name) {
+    const fileName = `${name}-${width}w.${EXTENSIONS[format]}`;
+    const target = resolve(outDir, fileName);
+
+    if (writes.has(target)) {
+      await writes.get(target);
+      return fileName;
+    }
+
+    if (existsSync(target) && statSync(target).mtimeMs >= statSync(file).mtimeMs) {
+      return fileName;
+    }
+
+    mkdirSync(outDir, { recursive: true });
+
+    const write = sharp(file)
+      .rotate()
+      .extract(region)
+      .resize({ width })
+      .toFormat(format, QUALITY[format])
+      .toFile(target)
+      .finally(() => writes.delete(target));
+
+    writes.set(target, write);
+    await write;
+
+    return fileName;
+  }
+
+  // img-6072-1-1-5d41a4 for "IMG_6072 (1) 1.jpg", with a suffix for cropped
+  // versions. Only the source decides the name, so it's the same on every page
+  function outputName(file, crop) {
+    const name = `${slugify(basename(file, extname(file)))}-${hash(relative(root, file).split('\\').join('/'))}`;
+
+    return crop ? `${name}-${hash(JSON.stringify(crop))}` : name;
+  }
+}
+
+// Mark every <img> inside a <picture> so it's left alone
+function markImages(nodes, set) {
+  for (const node of nodes) {
+    if (!node || typeof node !== 'object') continue;
+    if (node.tag === 'img') set.add(node);
+    if (Array.isArray(node.content)) markImages(node.content, set);
+  }
+}
+
+// Absolute path of a local raster image, or null
+function sourceFile(attrs, root) {
+  const src = attrs.src;
+  if (!src || attrs['data-responsive'] === 'false') return null;
+  if (!src.startsWith('/') || src.startsWith('//')) return null;
+
+  let path;
+  try {
+    path = decodeURIComponent(src.split(/[?#]/)[0]);
+  } catch (e) {
+    return null;
+  }
+
+  if (!/\.(jpe?g|png|webp|tiff?)$/i.test(path)) return null;
+
+  const file = resolve(root, `.${path}`);
+  return existsSync(file) ? file : null;
+}
+
+// "30% 60%" or "0.3 0.6" -> { x: 0.3, y: 0.6 }
+function parseFocal(value) {
+  if (!value) return null;
+
+  const parts = value.trim().split(/[\s,]+/).map(part => {
+    const number = parseFloat(part);
+    return part.endsWith('%') ? number / 100 : number;
+  });
+
+  if (parts.length !== 2 || parts.some(part => Number.isNaN(part))) {
+    console.warn(`[responsive-images] Ignoring data-focal="${value}" - expected e.g. "30% 60%"`);
+    return null;
+  }
+
+  return { x: clamp(parts[0], 0, 1), y: clamp(parts[1], 0, 1) };
+}
+
+// "4:3", "4/3" or "1.5" -> 1.333...
+function parseRatio(value) {
+  if (!value) return null;
+
+  const [width, height = 1] = value.split(/[:/]/).map(Number);
+  const ratio = width / height;
+
+  if (!(ratio > 0) || !Number.isFinite(ratio)) {
+    console.warn(`[responsive-images] Ignoring data-crop="${value}" - expected e.g. "4:3"`);
+    return null;
+  }
+
+  return ratio;
+}
+
+// Largest region with the given aspect ratio, centred on the focal point
+function cropRegion(metadata, ratio, focal) {
+  // EXIF orientations 5-8 are rotated a quarter turn
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (!ratio) {
+    return { left: 0, top: 0, width, height };
+  }
+
+  const point = focal || { x: 0.5, y: 0.5 };
+  const cropWidth = Math.min(width, Math.round(height * ratio));
+  const cropHeight = Math.min(height, Math.round(cropWidth / ratio));
+
+  return {
+    left: clamp(Math.round(point.x * width - cropWidth / 2), 0, width - cropWidth),
+    top: clamp(Math.round(point.y * height - cropHeight / 2), 0, height - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'image';
+}
+
+function hash(text) {
+  return createHash('md5').update(text).digest('hex').slice(0, 6);
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
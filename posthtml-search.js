@@ -0,0 +1,153 @@
+/**
+ * Search index entries for the site search overlay
+ *
+ * Reads a rendered page's searchable text: its title and description, the
+ * headings and body copy inside <main>, and the title and category of every
+ * card-event on the page. The build collects one entry per page into
+ * search-index.json, which src/js/search.js queries in the browser.
+ *
+ * Left out: pages with <meta name="robots" content="noindex">, and scripts,
+ * styles, SVGs and aria-hidden decoration inside <main>.
+ *
+ * Usage:
+ * let entry;
+ * await posthtml([tree => { entry = extractSearchEntry(tree, { siteName: 'Butterfly Pavilion' }) }]).process(html);
+ */
+
+// Elements whose text isn't page copy
+const SKIPPED_TAGS = ['script', 'style', 'template', 'svg', 'noscript'];
+
+const HEADING_TAGS = ['h1', 'h2', 'h3'];
+
+// Elements that sit inside a line of text rather than starting a new one
+const INLINE_TAGS = ['a', 'abbr', 'b', 'code', 'em', 'i', 'mark', 'small', 'span', 'strong', 'sub', 'sup'];
+
+// Body text kept per page, in characters - enough for snippets
+const MAX_TEXT_LENGTH = 4000;
+
+/**
+ * Searchable text of a page, or null for a noindex page
+ * @param {Array} tree - PostHTML tree of the rendered page
+ * @param {Object} options - { siteName }: dropped from the <title>
+ * @returns {{title: string, description: string, headings: string[], keywords: string[], text: string}|null}
+ */
+export function extractSearchEntry(tree, options = {}) {
+  let title = '';
+  let description = '';
+  let robots = '';
+  let main = null;
+
+  tree.walk(node => {
+    if (node.tag === 'title') title = textContent(node);
+    if (node.tag === 'main' && !main) main = node;
+
+    if (node.tag === 'meta' && node.attrs) {
+      if (node.attrs.name === 'description') description = decodeEntities(node.attrs.content || '');
+      if (node.attrs.name === 'robots') robots = node.attrs.content || '';
+    }
+
+    return node;
+  });
+
+  if (/noindex/i.test(robots)) return null;
+
+  const headings = [];
+  const keywords = [];
+
+  walk(main ? main.content : [], node => {
+    if (HEADING_TAGS.includes(node.tag)) headings.push(textContent(node));
+
+    if (hasClass(node, 'card-event')) {
+      const eventTitle = findNode(node.content, n => hasClass(n, 'card-event__title'));
+      const category = findNode(node.content, n => hasClass(n, 'tag'));
+      keywords.push(...[eventTitle, category].map(textContent).filter(Boolean));
+    }
+  });
+
+  return {
+    title: pageTitle(title, options.siteName),
+    description,
+    headings: unique(headings.filter(Boolean)),
+    keywords: unique(keywords),
+    text: textContent({ content: main ? main.content : [] }).slice(0, MAX_TEXT_LENGTH)
+  };
+}
+
+// "Exhibits | Denver Butterfly Pavilion" -> "Exhibits"
+function pageTitle(title, siteName) {
+  if (!siteName) return title;
+
+  const parts = title.split(' | ');
+  const kept = parts.filter(part => !part.toLowerCase().includes(siteName.toLowerCase()));
+  return kept.length ? kept.join(' | ') : title;
+}
+
+// Visit every element that holds page copy
+function walk(nodes, callback) {
+  for (const node of nodes || []) {
+    if (!isCopy(node)) continue;
+
+    callback(node);
+    walk(node.content, callback);
+  }
+}
+
+function isCopy(node) {
+  return Boolean(node && typeof node === 'object'
+    && !SKIPPED_TAGS.includes(node.tag)
+    && !(node.attrs && node.attrs['aria-hidden'] === 'true'));
+}
+
+function findNode(nodes, test) {
+  for (const node of nodes || []) {
+    if (!node || typeof node !== 'object') continue;
+    if (test(node)) return node;
+
+    const found = findNode(node.content, test);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+function hasClass(node, className) {
+  return Boolean(node && node.attrs && typeof node.attrs.class === 'string'
+    && node.attrs.class.split(/\s+/).includes(className));
+}
+
+// Text of a node, with block-level boundaries kept as spaces. Comments
+// (the component docs included with every partial) are strings in the tree
+function textContent(node) {
+  if (!node) return '';
+
+  const parts = [];
+  const collect = nodes => {
+    for (const item of nodes || []) {
+      if (typeof item === 'string') {
+        if (!item.trimStart().startsWith('<!--')) parts.push(item);
+      } else if (isCopy(item)) {
+        const separator = INLINE_TAGS.includes(item.tag) ? '' : ' ';
+        parts.push(separator);
+        collect(item.content);
+        parts.push(separator);
+      }
+    }
+  };
+
+  collect(typeof node === 'string' ? [node] : node.content);
+  return decodeEntities(parts.join('').replace(/\s+/g, ' ').trim());
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
@@ -0,0 +1,315 @@
+/**
+ * PostHTML plugin that completes a page's social meta and structured data
+ *
+ * Runs on the final page HTML (after Vite has bundled assets), with the
+ * page's absolute URL:
+ * - Empty og:title / twitter:title and og:description / twitter:description
+ *   tags are filled in from <title> and <meta name="description">
+ * - og:url and <link rel="canonical"> are set to the page URL, and
+ *   <link rel="alternate" hreflang> URLs are made absolute
+ * - og:image / twitter:image are made absolute; an empty twitter:image
+ *   uses og:image
+ * - A JSON-LD graph is added to <head>: the site as a Museum /
+ *   TouristAttraction, plus an Event for every card-event component on the
+ *   page (title, month/day, time and category). Pages with
+ *   <meta name="robots" content="noindex"> only get the Museum node.
+ *
+ * The tags themselves come from layouts/base.html, where each one is a yield
+ * (ogTitle, ogDescription, ogImage, ...) a page can override.
+ *
+ * Usage:
+ * posthtml([seo({ url: 'https://butterflies.org/exhibits/', home: 'https://butterflies.org/', site, resolveAsset })])
+ *
+ * home is the site's home page URL and site is src/data/site.yml.
+ * resolveAsset(path) maps a source path such as /assets/images/... to its
+ * URL in the build, or returns null.
+ */
+
+const OFFLINE = 'https://schema.org/OfflineEventAttendanceMode';
+const SCHEDULED = 'https://schema.org/EventScheduled';
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+export default function seo(options = {}) {
+  const url = options.url;
+  const home = options.home || new URL('/', url).href;
+  const site = options.site || {};
+  const resolveAsset = options.resolveAsset || (() => null);
+  const today = options.today || new Date();
+
+  return function plugin(tree) {
+    const meta = {};
+    let head = null;
+    let canonical = null;
+    const alternates = [];
+    let title = '';
+    const events = [];
+
+    tree.walk(node => {
+      if (node.tag === 'head') head = node;
+      if (node.tag === 'title') title = textContent(node);
+      if (node.tag === 'link' && node.attrs && node.attrs.rel === 'canonical') canonical = node;
+      if (node.tag === 'link' && node.attrs && node.attrs.rel === 'alternate' && node.attrs.hreflang) alternates.push(node);
+
+      if (node.tag === 'meta' && node.attrs) {
+        const key = node.attrs.property || node.attrs.name;
+        if (key) meta[key] = node;
+      }
+
+      if (hasClass(node, 'card-event')) {
+        const event = readEvent(node);
+        if (event) events.push(event);
+      }
+
+      return node;
+    });
+
+    if (!head) return tree;
+
+    const absolute = path => toAbsolute(path, url, resolveAsset);
+    const description = meta.description ? meta.description.attrs.content : '';
+
+    fill(meta['og:title'], title);
+    fill(meta['twitter:title'], title);
+    fill(meta['og:description'], description);
+    fill(meta['twitter:description'], description);
+
+    for (const key of ['og:image', 'twitter:image']) {
+      if (meta[key] && meta[key].attrs.content) {
+        meta[key].attrs.content = absolute(meta[key].attrs.content);
+      }
+    }
+    if (meta['og:image']) fill(meta['twitter:image'], meta['og:image'].attrs.content);
+
+    if (meta['og:url']) {
+      meta['og:url'].attrs.content = url;
+    } else {
+      appendToHead(head, { tag: 'meta', attrs: { property: 'og:url', content: url } });
+    }
+
+    if (canonical) {
+      canonical.attrs.href = url;
+    } else {
+      appendToHead(head, { tag: 'link', attrs: { rel: 'canonical', href: url } });
+    }
+
+    for (const link of alternates) {
+      link.attrs.href = new URL(link.attrs.href, url).href;
+    }
+
+    const robots = meta.robots ? meta.robots.attrs.content : '';
+    const graph = [organization(site, home, absolute)];
+
+    if (!/noindex/i.test(robots)) {
+      const seen = new Set();
+
+      for (const event of events) {
+        const node = eventNode(event, site, home, absolute, today);
+        const key = node && `${node.name}|${node.startDate}`;
+        if (node && !seen.has(key)) {
+          seen.add(key);
+          graph.push(node);
+        }
+      }
+    }
+
+    appendToHead(head, {
+      tag: 'script',
+      attrs: { type: 'application/ld+json' },
+      content: [JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 2).replace(/</g, '\\u003c')]
+    });
+
+    return tree;
+  };
+}
+
+/**
+ * sitemap.xml for a list of pages
+ * @param {Array<{url: string, lastmod?: Date}>} pages
+ * @returns {string}
+ */
+export function renderSitemap(pages) {
+  const entries = pages.map(page => [
+    '  <url>',
+    `    <loc>${escapeXml(page.url)}</loc>`,
+    page.lastmod ? `    <lastmod>${page.lastmod.toISOString().slice(0, 10)}</lastmod>` : null,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * robots.txt allowing everything and pointing at the sitemap
+ * @param {string} sitemapUrl
+ * @returns {string}
+ */
+export function renderRobots(sitemapUrl) {
+  return `User-agent: *\nAllow: /\n\nSitemap: ${sitemapUrl}\n`;
+}
+
+// The site-wide Museum / TouristAttraction node
+function organization(site, home, absolute) {
+  const node = {
+    '@type': ['Museum', 'TouristAttraction'],
+    '@id': `${home}#museum`,
+    name: site.name,
+    description: site.description,
+    url: home
+  };
+
+  if (site.image) node.image = absolute(site.image);
+  if (site.address) node.address = { '@type': 'PostalAddress', ...site.address };
+  if (site.openingHours) node.openingHours = site.openingHours;
+
+  return node;
+}
+
+// Fields of a rendered card-event, by its BEM element classes
+function readEvent(node) {
+  const find = className => findNode(node.content, n => hasClass(n, className));
+  const tags = findAll(node.content, n => hasClass(n, 'tag')).map(textContent);
+  const action = find('card-event__action');
+  const link = action ? findNode(action.content, n => n.tag === 'a') : null;
+  const image = findNode(node.content, n => n.tag === 'img');
+
+  const event = {
+    title: textContent(find('card-event__title')),
+    description: textContent(find('card-event__description')),
+    month: textContent(find('card-event__month')),
+    day: textContent(find('card-event__day')),
+    category: tags[0] || '',
+    time: tags[1] || '',
+    url: link && link.attrs ? link.attrs.href : null,
+    image: image && image.attrs ? image.attrs.src : null
+  };
+
+  return event.title ? event : null;
+}
+
+function eventNode(event, site, home, absolute, today) {
+  const month = MONTHS.indexOf(event.month.slice(0, 3).toUpperCase());
+  const day = parseInt(event.day, 10);
+  if (month === -1 || !day) return null;
+
+  // Cards only show month and day: use the next time that date comes round
+  let year = today.getFullYear();
+  if (new Date(year, month, day + 1) < today) year++;
+
+  const [start, end] = parseTimes(event.time);
+  const date = `${year}-${pad(month + 1)}-${pad(day)}`;
+  const stamp = time => {
+    if (!time) return date;
+    const local = `${date}T${time}:00`;
+    return `${local}${utcOffset(local, site.timeZone)}`;
+  };
+
+  const node = {
+    '@type': 'Event',
+    name: event.title,
+    startDate: stamp(start),
+    eventAttendanceMode: OFFLINE,
+    eventStatus: SCHEDULED,
+    location: { '@id': `${home}#museum` },
+    organizer: { '@id': `${home}#museum` }
+  };
+
+  if (end) node.endDate = stamp(end);
+  if (event.description) node.description = event.description;
+  if (event.category) node.keywords = event.category;
+  if (event.image) node.image = absolute(event.image);
+  if (event.url && !event.url.startsWith('#')) node.url = absolute(event.url);
+
+  return node;
+}
+
+// "6:00 PM - 8:00 PM" -> ["18:00", "20:00"]
+function parseTimes(text) {
+  return [...text.matchAll(/(\d{1,2})(?::(\d{2}))?\s*([AP])\.?M\.?/gi)].map(([, hours, minutes = '00', period]) => {
+    const hour = (parseInt(hours, 10) % 12) + (period.toUpperCase() === 'P' ? 12 : 0);
+    return `${pad(hour)}:${minutes}`;
+  });
+}
+
+// "-06:00" for a local date-time in a time zone, or "" without one
+function utcOffset(local, timeZone) {
+  if (!timeZone) return '';
+
+  try {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+      .formatToParts(new Date(`${local}Z`))
+      .find(part => part.type === 'timeZoneName').value;
+    const offset = name.replace('GMT', '');
+    return offset || '+00:00';
+  } catch (e) {
+    return '';
+  }
+}
+
+// Absolute URL for a page link or asset path
+function toAbsolute(path, pageUrl, resolveAsset) {
+  if (/^[a-z][a-z\d+.-]*:/i.test(path)) return path;
+
+  const resolved = resolveAsset(path) || path;
+  return new URL(resolved, pageUrl).href;
+}
+
+function fill(node, value) {
+  if (node && !node.attrs.content && value) {
+    node.attrs.content = value;
+  }
+}
+
+function appendToHead(head, node) {
+  head.content = [...(head.content || []), '  ', node, '\n'];
+}
+
+function hasClass(node, className) {
+  return Boolean(node && node.attrs && typeof node.attrs.class === 'string'
+    && node.attrs.class.split(/\s+/).includes(className));
+}
+
+function findNode(nodes, test) {
+  return findAll(nodes, test)[0] || null;
+}
+
+function findAll(nodes, test, found = []) {
+  for (const node of nodes || []) {
+    if (!node || typeof node !== 'object') continue;
+    if (test(node)) found.push(node);
+    findAll(node.content, test, found);
+  }
+
+  return found;
+}
+
+function textContent(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+
+  return decodeEntities((node.content || []).map(textContent).join('').replace(/\s+/g, ' ').trim());
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
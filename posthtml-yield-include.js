@@ -14,22 +14,194 @@
  *
  * Optional yields (render nothing if not provided):
  * <yield name="headline" optional>Default headline</yield>
+ *
+ * Layout inheritance (page renders inside a layout's named yields):
+ * <extends src="layouts/base.html">
+ *   <yield name="title">About | Denver Butterfly Pavilion</yield>
+ *   <yield name="content">...</yield>
+ * </extends>
+ *
+ * Layouts can themselves extend another layout. Yields a layout doesn't
+ * pass on explicitly are forwarded to its parent layout.
+ *
+ * Data-driven repeaters (data/events.json, data/stats.yml, ...):
+ * <each items="events" as="event">
+ *   <include src="components/card-event/card-event.html">
+ *     <yield name="title"><yield name="event.title"></yield></yield>
+ *     <yield name="class">card-event--<yield name="event.category"></yield></yield>
+ *   </include>
+ *   <img src="<yield name='event.image.src'></yield>" alt="">
+ * </each>
+ *
+ * Item fields are bound as yields named "<as>.<field>" (dotted paths reach
+ * nested fields). In attribute values, quote the yield name with single quotes.
+ *
+ * Conditional rendering (based on whether the include supplied a non-empty yield):
+ * <if yield="image">
+ *   <div class="card__image"><yield name="image"></yield></div>
+ * <else>
+ *   <div class="card__placeholder"></div>
+ * </if>
+ *
+ * <unless yield="link">...</unless> renders only when the yield is missing or empty.
+ *
+ * Errors:
+ * A missing include file or an include cycle throws with the include chain
+ * (page -> block -> component, with file:line:column for each step), which
+ * Vite shows in the dev error overlay and which fails `vite build`.
+ * Pass `strict: false` to only log a warning and leave the <include> tag
+ * unprocessed instead. Pass `from` (the page's file path) so the chain
+ * starts at the page.
+ *
+ * Contract validation:
+ * Each <include> is checked against the component's schema (see
+ * component-schema.js): a warning is logged for unknown yield names,
+ * missing "Required yields" and undeclared or missing variant classes.
+ * Pass `validate: false` to turn this off.
+ *
+ * Translations:
+ * <t>Plan Your Visit</t> marks text for translation. Once every include is
+ * resolved, each marker is replaced by its entry in `messages` (a locale
+ * catalog such as locales/es.json, keyed by the English text with whitespace
+ * collapsed) or, without `messages`, by its own content. Markers also work
+ * inside attribute values and <title>:
+ * <img src="..." alt="<t>Survival exhibit</t>">
+ *
+ * Use key="..." for text that needs a different translation in different
+ * places. Keys missing from the catalog keep the English text and are
+ * passed to `onMissingTranslation(key)`.
+ *
+ * Data isn't marked up, so it's translated by file: with `locale: 'es'`,
+ * data/events.es.json (or .yml) is merged over data/events.json - see
+ * loadData().
+ *
+ * Dependencies and caching:
+ * `onDependency(file)` is called with every file an include or extends
+ * reads, so a dev server can tell which pages use a partial. Pass a `cache`
+ * Map to keep partials' source, schema and parsed markup between runs;
+ * delete a file's entry when it changes.
+ *
+ * Origins:
+ * Elements that come from an included file keep a reference to it (and to
+ * the include chain that led there), so later plugins can say where a tag in
+ * the rendered page was written - see originTrace().
  */
 
-import { readFileSync } from 'fs';
-import { resolve } from 'path';
+import { readFileSync, readdirSync } from 'fs';
+import { resolve, relative, extname, basename } from 'path';
 import posthtml from 'posthtml';
+import YAML from 'yaml';
+import { parseComponentSchema } from './component-schema.js';
+import { escapeHtml } from './posthtml-catalog.js';
 
 export default function yieldInclude(options = {}) {
   const root = options.root || process.cwd();
   const encoding = options.encoding || 'utf8';
+  const dataDir = options.data || resolve(root, 'data');
+  const strict = options.strict !== false;
+  const validate = options.validate !== false;
+  const locale = options.locale || null;
+  const messages = options.messages || null;
+  const onMissingTranslation = options.onMissingTranslation || (() => {});
+  const onDependency = options.onDependency || (() => {});
+  const cache = options.cache || null;
 
   return async function plugin(tree) {
-    await processTree(tree, root, encoding);
+    const ctx = {
+      root,
+      encoding,
+      strict,
+      validate,
+      // Per run, unless a cache is kept between runs
+      partials: cache || new Map(),
+      onDependency,
+      data: loadData(dataDir, encoding, locale),
+      // File the current tree came from, and the include tags that led to it
+      file: options.from || null,
+      chain: []
+    };
+
+    await processTree(tree, ctx);
+
+    translate(tree, key => {
+      if (!messages) return null;
+      if (typeof messages[key] === 'string') return messages[key];
+
+      onMissingTranslation(key);
+      return null;
+    });
+
     return tree;
   };
 }
 
+// Load every JSON/YAML file in the data directory, keyed by file name.
+// <name>.<locale>.json (or .yml) translates <name>: for that locale it's
+// merged over it - objects key by key, arrays item by item - so it only
+// needs the text. Translations of other locales are left out
+export function loadData(dir, encoding, locale = null) {
+  const data = {};
+  const translations = {};
+
+  let files;
+  try {
+    files = readdirSync(dir);
+  } catch (e) {
+    // Data directory doesn't exist yet
+    return data;
+  }
+
+  for (const file of files) {
+    const ext = extname(file);
+    const [key, fileLocale] = basename(file, ext).split('.');
+    const filePath = resolve(dir, file);
+    const target = fileLocale ? translations : data;
+
+    if (fileLocale && fileLocale !== locale) continue;
+
+    if (ext === '.json') {
+      target[key] = JSON.parse(readFileSync(filePath, encoding));
+    } else if (ext === '.yml' || ext === '.yaml') {
+      target[key] = YAML.parse(readFileSync(filePath, encoding));
+    }
+  }
+
+  for (const [key, value] of Object.entries(translations)) {
+    data[key] = key in data ? mergeTranslation(data[key], value) : value;
+  }
+
+  return data;
+}
+
+// A data value with its translation merged over it
+function mergeTranslation(value, translation) {
+  if (Array.isArray(value) && Array.isArray(translation)) {
+    return value.map((item, index) => index < translation.length ? mergeTranslation(item, translation[index]) : item);
+  }
+
+  if (isPlainObject(value) && isPlainObject(translation)) {
+    const merged = { ...value };
+    for (const [key, item] of Object.entries(translation)) {
+      merged[key] = key in value ? mergeTranslation(value[key], item) : item;
+    }
+    return merged;
+  }
+
+  return translation === null || translation === undefined ? value : translation;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Resolve a dotted path like "event.image.src" against an object
+function lookup(obj, path) {
+  return path.split('.').reduce(
+    (value, key) => (value !== undefined && value !== null ? value[key] : undefined),
+    obj
+  );
+}
+
 // Helper to walk an array/tree and find nodes
 function walkNodes(nodes, callback) {
   if (!nodes) return;
@@ -46,13 +218,16 @@ function walkNodes(nodes, callback) {
   }
 }
 
-// Find all include nodes in the tree
+// Tags that pull in another file and pass it yields
+const INCLUDE_TAGS = ['include', 'extends'];
+
+// Find all include (and extends) nodes in the tree
 function findIncludes(nodes) {
   const includes = [];
   walkNodes(nodes, node => {
     // Skip if inside a comment (node.tag will not be 'include' for real includes)
     // Make sure src is a valid string
-    if (node.tag === 'include' &&
+    if (INCLUDE_TAGS.includes(node.tag) &&
         node.attrs &&
         typeof node.attrs.src === 'string' &&
         node.attrs.src.length > 0) {
@@ -62,20 +237,26 @@ function findIncludes(nodes) {
   return includes;
 }
 
-async function processTree(tree, root, encoding) {
+async function processTree(tree, ctx) {
   // Get the actual array from tree (PostHTML tree can be array-like)
   const nodes = Array.isArray(tree) ? tree : tree;
 
+  // Expand data-driven repeaters before resolving includes
+  expandEach(nodes, ctx.data);
+
   // Find all include nodes
   const includeNodes = findIncludes(nodes);
 
   // Process each include node
   for (const node of includeNodes) {
-    await processInclude(node, root, encoding);
+    // Already expanded as part of an earlier include's yields
+    if (!INCLUDE_TAGS.includes(node.tag)) continue;
+
+    await processInclude(node, ctx);
   }
 }
 
-async function processInclude(node, root, encoding) {
+async function processInclude(node, ctx) {
   const src = node.attrs && node.attrs.src;
 
   // Safety check - skip if src is not a valid string
@@ -84,13 +265,31 @@ async function processInclude(node, root, encoding) {
     return;
   }
 
-  const filePath = resolve(root, src);
+  const filePath = resolve(ctx.root, src);
+
+  // Where this include tag sits, for error reporting
+  const start = node.location && node.location.start;
+  const chain = [...ctx.chain, {
+    file: ctx.file,
+    line: start ? start.line : null,
+    column: start ? start.column : null
+  }];
+
+  if (chain.some(step => step.file === filePath)) {
+    const cycle = [...chain.map(step => step.file), filePath].filter(Boolean).map(displayPath);
+    reportIncludeError(`Include cycle: ${cycle.join(' -> ')}`, chain, ctx);
+    return;
+  }
+
+  ctx.onDependency(filePath);
+
+  const partial = cachedPartial(filePath, ctx);
 
   let fileContent;
   try {
-    fileContent = readFileSync(filePath, encoding);
+    fileContent = partial.source || (partial.source = readFileSync(filePath, ctx.encoding));
   } catch (error) {
-    console.error(`Could not read file: ${filePath}`);
+    reportIncludeError(`Could not read <${node.tag} src="${src}"> (${displayPath(filePath)})`, chain, ctx);
     return;
   }
 
@@ -101,23 +300,51 @@ async function processInclude(node, root, encoding) {
   for (const name in yields) {
     const yieldContent = yields[name];
     if (Array.isArray(yieldContent)) {
-      await processTree(yieldContent, root, encoding);
+      await processTree(yieldContent, ctx);
+    }
+  }
+
+  // Check the yields against the component's documented contract
+  if (ctx.validate && node.tag === 'include') {
+    if (!partial.schema) {
+      partial.schema = parseComponentSchema(fileContent, filePath);
     }
+    validateContract(partial.schema, yields, src, chain);
   }
 
   // Pre-process: Replace yields in attribute values (string replacement)
   // This handles cases like class="foo <yield name="class"></yield>"
   fileContent = replaceYieldsInAttributes(fileContent, yields);
+  fileContent = replaceYieldsInTitle(fileContent, yields);
 
-  // Parse the included file
-  const result = await posthtml().process(fileContent);
-  let includedTree = result.tree;
+  // Parse the included file - or copy the tree parsed from the same source before
+  if (!partial.trees.has(fileContent)) {
+    const result = await posthtml().process(fileContent, { sourceLocations: true });
+    partial.trees.set(fileContent, Array.from(result.tree));
+
+    // Attribute yields vary per include - keep the most recent variations
+    if (partial.trees.size > MAX_CACHED_TREES) {
+      partial.trees.delete(partial.trees.keys().next().value);
+    }
+  }
+  const includedTree = structuredClone(partial.trees.get(fileContent));
+
+  // Remember where each element came from, before the yields are filled in
+  markOrigin(includedTree, { file: filePath, chain });
+
+  // Drop <if>/<unless> branches before yields are filled in
+  resolveConditionals(includedTree, yields);
 
   // Replace yields in the included content with provided content
   replaceYields(includedTree, yields);
 
+  // A layout extending another layout forwards the page's remaining yields
+  if (node.tag === 'extends') {
+    forwardYields(includedTree, yields);
+  }
+
   // Now recursively process any includes in the included file
-  await processTree(includedTree, root, encoding);
+  await processTree(includedTree, { ...ctx, file: filePath, chain });
 
   // Replace the include node with the processed content
   node.tag = false;
@@ -125,6 +352,141 @@ async function processInclude(node, root, encoding) {
   node.content = includedTree;
 }
 
+// Parsed trees kept per partial
+const MAX_CACHED_TREES = 50;
+
+// Source, schema and parsed trees (keyed by source after attribute yields
+// are filled in) of a partial
+function cachedPartial(file, ctx) {
+  if (!ctx.partials.has(file)) {
+    ctx.partials.set(file, { source: null, schema: null, trees: new Map() });
+  }
+  return ctx.partials.get(file);
+}
+
+function markOrigin(nodes, origin) {
+  walkNodes(nodes, node => {
+    if (node.tag && !node.origin) node.origin = origin;
+  });
+}
+
+/**
+ * Where an element of the rendered page was written: its file and position,
+ * then the includes that pulled it in, innermost first
+ * @param {Object} node - Element of a tree yieldInclude has processed
+ * @param {string} page - The page's file, for elements written in the page
+ * @returns {string[]} e.g. ['src/components/button/button.html:12:3', '  included from src/pages/index.html:40:5']
+ */
+export function originTrace(node, page) {
+  const origin = node.origin || { file: page, chain: [] };
+  const start = node.location && node.location.start;
+  const loc = start ? `:${start.line}:${start.column}` : '';
+
+  return [`${displayPath(origin.file)}${loc}`, ...formatChain(origin.chain)];
+}
+
+// Path relative to the project for readable messages
+function displayPath(file) {
+  return file ? relative(process.cwd(), file) : '(page)';
+}
+
+// "included from file:line:column" lines, innermost first
+function formatChain(chain) {
+  return [...chain].reverse().map(step => {
+    const loc = step.line ? `:${step.line}:${step.column}` : '';
+    return `  included from ${displayPath(step.file)}${loc}`;
+  });
+}
+
+// Throw (or warn, when not strict) with the include chain
+function reportIncludeError(message, chain, ctx) {
+  const fullMessage = [`[yield-include] ${message}`, ...formatChain(chain)].join('\n');
+
+  if (!ctx.strict) {
+    console.warn(fullMessage);
+    return;
+  }
+
+  const error = new Error(fullMessage);
+  const here = chain[chain.length - 1];
+
+  // Picked up by Vite's error overlay and build output
+  if (here.file) {
+    error.id = here.file;
+    if (here.line) {
+      error.loc = { file: here.file, line: here.line, column: here.column };
+      error.frame = codeFrame(here.file, here.line, ctx.encoding);
+    }
+  }
+
+  // The JS stack is plugin internals - the include chain is the useful trace
+  error.stack = fullMessage;
+  throw error;
+}
+
+// Warn when an include doesn't match the component's yields, required yields or variants
+function validateContract(schema, yields, src, chain) {
+  const problems = [];
+  const declared = new Set(schema.yields.map(y => y.name));
+
+  for (const name in yields) {
+    if (!declared.has(name)) {
+      problems.push(`unknown yield "${name}"`);
+    }
+  }
+
+  for (const name of schema.requiredYields) {
+    if (!isSupplied(yields[name])) {
+      problems.push(`missing required yield "${name}"`);
+    }
+  }
+
+  if (schema.variants.length > 0) {
+    const classes = contentToString(yields.class).split(/\s+/).filter(Boolean);
+    const variantClasses = schema.variants.map(variant => variant.class);
+    const prefixes = new Set(
+      variantClasses.filter(cls => cls.includes('--')).map(cls => cls.slice(0, cls.indexOf('--') + 2))
+    );
+
+    for (const cls of classes) {
+      const prefix = cls.includes('--') ? cls.slice(0, cls.indexOf('--') + 2) : null;
+      if (prefix && prefixes.has(prefix) && !variantClasses.includes(cls)) {
+        problems.push(`undeclared variant class "${cls}"`);
+      }
+    }
+
+    if (schema.variantsRequired && !classes.some(cls => variantClasses.includes(cls))) {
+      problems.push(`missing variant class (one of ${variantClasses.join(', ')})`);
+    }
+  }
+
+  for (const problem of problems) {
+    console.warn([`[yield-include] <include src="${src}">: ${problem}`, ...formatChain(chain)].join('\n'));
+  }
+}
+
+// A few lines of source around the failing include tag
+function codeFrame(file, line, encoding) {
+  let lines;
+  try {
+    lines = readFileSync(file, encoding).split('\n');
+  } catch (e) {
+    return '';
+  }
+
+  const first = Math.max(1, line - 2);
+  const last = Math.min(lines.length, line + 2);
+  const width = String(last).length;
+  const frame = [];
+
+  for (let n = first; n <= last; n++) {
+    const marker = n === line ? '>' : ' ';
+    frame.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+  }
+
+  return frame.join('\n');
+}
+
 // Pre-process yields in attribute values via string replacement
 // Handles: class="foo <yield name="bar">default</yield>"
 // Only matches yields that appear inside attribute values (after =" and before closing ")
@@ -145,6 +507,63 @@ function replaceYieldsInAttributes(html, yields) {
   });
 }
 
+// Pre-process yields inside <title> via string replacement
+// The parser treats <title> content as plain text, so yields there never become nodes
+function replaceYieldsInTitle(html, yields) {
+  const yieldPattern = /<yield\s+name=["']([^"']+)["'][^>]*>([^<]*)<\/yield>/g;
+
+  return html.replace(/(<title[^>]*>)([\s\S]*?)(<\/title>)/gi, (match, open, text, close) => {
+    const newText = text.replace(yieldPattern, (yieldMatch, yieldName, defaultContent) => {
+      return yields[yieldName] !== undefined
+        ? contentToString(yields[yieldName])
+        : defaultContent;
+    });
+    return `${open}${newText}${close}`;
+  });
+}
+
+const MARKER_PATTERN = /<t(?:\s+key=["']([^"']*)["'])?\s*>([\s\S]*?)<\/t>/g;
+
+// Replace <t> markers with their translation (or their own content when
+// lookup() returns null): elements, and markers in attribute values and
+// <title> text, which the parser leaves as strings
+function translate(tree, lookup) {
+  const translateText = text => text.replace(MARKER_PATTERN, (match, key, source) => {
+    const translation = lookup(key || normalizeKey(source));
+    return translation === null ? source : translation;
+  });
+
+  walkNodes(tree, node => {
+    if (node.attrs) {
+      for (const [name, value] of Object.entries(node.attrs)) {
+        if (typeof value === 'string' && value.includes('<t')) {
+          node.attrs[name] = translateText(value);
+        }
+      }
+    }
+
+    if (node.tag === 'title' && Array.isArray(node.content)) {
+      node.content = node.content.map(item => typeof item === 'string' ? translateText(item) : item);
+    }
+
+    if (node.tag === 't') {
+      const key = (node.attrs && node.attrs.key) || normalizeKey(contentToString(node.content));
+      const translation = lookup(key);
+
+      node.tag = false;
+      node.attrs = {};
+      if (translation !== null) {
+        node.content = posthtml().process(translation, { sync: true }).tree;
+      }
+    }
+  });
+}
+
+// Catalog key for a marker's content: its HTML with whitespace collapsed
+function normalizeKey(html) {
+  return html.replace(/\s+/g, ' ').trim();
+}
+
 // Convert PostHTML content array to string
 function contentToString(content) {
   if (!content) return '';
@@ -201,6 +620,124 @@ function extractYields(content) {
   return yields;
 }
 
+// Expand <each items="..." as="..."> nodes into one copy of their body per item
+function expandEach(nodes, scope) {
+  walkNodes(nodes, node => {
+    if (node.tag !== 'each') return;
+
+    const path = node.attrs && node.attrs.items;
+    const as = (node.attrs && node.attrs.as) || 'item';
+    const items = typeof path === 'string' ? lookup(scope, path) : undefined;
+    const body = node.content || [];
+
+    node.tag = false;
+    node.attrs = {};
+    node.content = [];
+
+    if (!Array.isArray(items)) {
+      console.warn(`<each> items "${path}" is not a list - rendering nothing`);
+      return;
+    }
+
+    for (const item of items) {
+      const copy = structuredClone(body);
+      bindFields(copy, as, item);
+
+      // Nested repeaters can loop over fields of the current item
+      expandEach(copy, { ...scope, [as]: item });
+
+      node.content.push(...copy);
+    }
+  });
+}
+
+// Replace "<as>.<field>" yields (in content and attribute values) with item fields
+// Fields are data, not markup - they're escaped like any other text
+function bindFields(nodes, as, item) {
+  const isBound = name => name === as || name.startsWith(`${as}.`);
+  const fieldValue = name => (name === as ? item : lookup(item, name.slice(as.length + 1)));
+  const yieldPattern = /<yield\s+name=["']([^"']+)["'][^>]*>([^<]*)<\/yield>/g;
+
+  walkNodes(nodes, node => {
+    if (node.attrs) {
+      for (const [key, value] of Object.entries(node.attrs)) {
+        if (typeof value !== 'string') continue;
+
+        node.attrs[key] = value.replace(yieldPattern, (match, name, defaultContent) => {
+          if (!isBound(name)) return match;
+          const field = fieldValue(name);
+          return field !== undefined && field !== null ? escapeHtml(field) : defaultContent;
+        });
+      }
+    }
+
+    if (node.tag === 'yield' && node.attrs && isBound(node.attrs.name || '')) {
+      const field = fieldValue(node.attrs.name);
+      node.tag = false;
+      node.attrs = {};
+      if (field !== undefined && field !== null) {
+        node.content = [escapeHtml(field)];
+      }
+      // otherwise keep default content
+    }
+  });
+}
+
+// Whether yield content was supplied and isn't just whitespace or comments
+function isSupplied(content) {
+  if (content === undefined || content === null) return false;
+
+  const arr = Array.isArray(content) ? content : [content];
+
+  return arr.some(item => {
+    if (typeof item === 'string') {
+      const text = item.trim();
+      return text.length > 0 && !text.startsWith('<!--');
+    }
+    if (item && typeof item === 'object') {
+      return item.tag ? true : isSupplied(item.content);
+    }
+    return false;
+  });
+}
+
+// Replace <if yield="..."> / <unless yield="..."> with the matching branch
+function resolveConditionals(tree, yields) {
+  walkNodes(tree, node => {
+    if (node.tag !== 'if' && node.tag !== 'unless') return;
+    if (!node.attrs || typeof node.attrs.yield !== 'string') return;
+
+    const supplied = isSupplied(yields[node.attrs.yield]);
+    const show = node.tag === 'if' ? supplied : !supplied;
+
+    // Everything before <else> is the "then" branch, the <else> content is the other
+    const content = node.content || [];
+    const elseIndex = content.findIndex(child => child && child.tag === 'else');
+    const thenBranch = elseIndex === -1 ? content : content.slice(0, elseIndex);
+    const elseBranch = elseIndex === -1 ? [] : content[elseIndex].content || [];
+
+    node.tag = false;
+    node.attrs = {};
+    node.content = show ? thenBranch : elseBranch;
+  });
+}
+
+// Pass yields on to nested <extends> nodes that don't already define them
+function forwardYields(tree, yields) {
+  walkNodes(tree, node => {
+    if (node.tag !== 'extends') return;
+
+    const own = extractYields(node.content || []);
+    node.content = node.content || [];
+
+    for (const name in yields) {
+      if (own[name] === undefined) {
+        node.content.push({ tag: 'yield', attrs: { name }, content: yields[name] });
+      }
+    }
+  });
+}
+
 function replaceYields(tree, yields) {
   if (!tree) return;
 
@@ -233,6 +770,17 @@ function replaceYields(tree, yields) {
           }
         }
 
+        // Yields passed to a nested include are arguments, not slots -
+        // only fill slots inside their content
+        if (INCLUDE_TAGS.includes(node.tag) && Array.isArray(node.content)) {
+          for (const child of node.content) {
+            if (child && typeof child === 'object') {
+              walkArray(child.content);
+            }
+          }
+          continue;
+        }
+
         // Recurse into children
         if (node.content) {
           walkArray(node.content);
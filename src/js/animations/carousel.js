@@ -1,22 +1,19 @@
 // ==========================================================================
-// Card Carousel Block - Marquee (continuous sliding)
+// Card Carousel Block - Marquee (continuous sliding, see marquee.js)
 // ==========================================================================
 
-export function initCarousels() {
-  const marquees = document.querySelectorAll('[data-marquee]');
+import { createLifecycle } from '../lifecycle.js';
+import { createMarquee } from './marquee.js';
 
-  marquees.forEach(marquee => {
-    const track = marquee.querySelector('[data-marquee-track]');
-    if (!track) return;
+const carousels = createLifecycle('[data-marquee]', element => {
+  const marquee = createMarquee(element);
+  return marquee && marquee.destroy;
+});
 
-    const cards = Array.from(track.children);
-    if (cards.length === 0) return;
+// Start the carousels inside root - each one only once
+export const init = carousels.init;
 
-    // Clone all cards and append for seamless loop
-    cards.forEach(card => {
-      const clone = card.cloneNode(true);
-      clone.setAttribute('aria-hidden', 'true');
-      track.appendChild(clone);
-    });
-  });
-}
+// Stop them and remove their copies of the cards
+export const destroy = carousels.destroy;
+
+export { init as initCarousels };
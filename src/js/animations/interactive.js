@@ -5,120 +5,131 @@
  * These are typically used for UI elements like buttons, cards, menus.
  *
  * WordPress Note: These can be conditionally loaded based on theme settings.
+ *
+ * init(root) and destroy(root) work on one block at a time (see
+ * lifecycle.js); destroy() removes the listeners and the text wrapper.
  */
 
 import gsap from 'gsap';
-
-/**
- * Initialize all interactive animations
- */
-export function initInteractiveAnimations() {
-  initButtonTextEffect();
-  initButtonHover();
-  initCardHover();
-  initMobileMenuToggle();
-}
+import { createLifecycle, combineLifecycles } from '../lifecycle.js';
 
 /**
  * Wrap button text in a span for the fly-up hover effect
  * Sets data-text so CSS ::after can duplicate the label
+ * The button's own nodes move into the span, keeping their listeners
  */
-function initButtonTextEffect() {
-  document.querySelectorAll('.btn').forEach(btn => {
-    if (btn.querySelector('.btn__text')) return;
-    const text = btn.textContent.trim();
-    const inner = btn.innerHTML.trim();
-    btn.innerHTML = `<span class="btn__text" data-text="${text}">${inner}</span>`;
-  });
+function initButtonTextEffect(btn) {
+  if (btn.querySelector('.btn__text')) return null;
+
+  const span = document.createElement('span');
+  span.className = 'btn__text';
+  span.dataset.generated = '';
+  span.dataset.text = btn.textContent.trim();
+  span.append(...btn.childNodes);
+  btn.appendChild(span);
+
+  return () => {
+    span.replaceWith(...span.childNodes);
+  };
 }
 
 /**
  * Enhanced button hover effects
  */
-function initButtonHover() {
-  const buttons = document.querySelectorAll('.btn');
-
-  buttons.forEach(button => {
-    button.addEventListener('mouseenter', () => {
-      gsap.to(button, {
-        scale: 1.02,
-        duration: 0.2,
-        ease: 'power2.out'
-      });
+function initButtonHover(button) {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  button.addEventListener('mouseenter', () => {
+    gsap.to(button, {
+      scale: 1.02,
+      duration: 0.2,
+      ease: 'power2.out'
     });
+  }, { signal });
 
-    button.addEventListener('mouseleave', () => {
-      gsap.to(button, {
-        scale: 1,
-        duration: 0.2,
-        ease: 'power2.out'
-      });
+  button.addEventListener('mouseleave', () => {
+    gsap.to(button, {
+      scale: 1,
+      duration: 0.2,
+      ease: 'power2.out'
     });
-  });
+  }, { signal });
+
+  return () => {
+    controller.abort();
+    gsap.killTweensOf(button);
+    gsap.set(button, { clearProps: 'transform' });
+  };
 }
 
 /**
  * Card hover effects with slight lift
  */
-function initCardHover() {
-  const cards = document.querySelectorAll('.card');
-
-  cards.forEach(card => {
-    const image = card.querySelector('.card__image');
+function initCardHover(card) {
+  const image = card.querySelector('.card__image');
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  card.addEventListener('mouseenter', () => {
+    gsap.to(card, {
+      y: -8,
+      boxShadow: '0 20px 40px rgba(0,0,0,0.15)',
+      duration: 0.3,
+      ease: 'power2.out'
+    });
 
-    card.addEventListener('mouseenter', () => {
-      gsap.to(card, {
-        y: -8,
-        boxShadow: '0 20px 40px rgba(0,0,0,0.15)',
-        duration: 0.3,
+    if (image) {
+      gsap.to(image, {
+        scale: 1.05,
+        duration: 0.5,
         ease: 'power2.out'
       });
-
-      if (image) {
-        gsap.to(image, {
-          scale: 1.05,
-          duration: 0.5,
-          ease: 'power2.out'
-        });
-      }
+    }
+  }, { signal });
+
+  card.addEventListener('mouseleave', () => {
+    gsap.to(card, {
+      y: 0,
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+      duration: 0.3,
+      ease: 'power2.out'
     });
 
-    card.addEventListener('mouseleave', () => {
-      gsap.to(card, {
-        y: 0,
-        boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
-        duration: 0.3,
+    if (image) {
+      gsap.to(image, {
+        scale: 1,
+        duration: 0.5,
         ease: 'power2.out'
       });
-
-      if (image) {
-        gsap.to(image, {
-          scale: 1,
-          duration: 0.5,
-          ease: 'power2.out'
-        });
-      }
-    });
-  });
+    }
+  }, { signal });
+
+  return () => {
+    controller.abort();
+    gsap.killTweensOf([card, image].filter(Boolean));
+    gsap.set(card, { clearProps: 'transform,boxShadow' });
+    if (image) gsap.set(image, { clearProps: 'transform' });
+  };
 }
 
 /**
  * Mobile menu toggle animation
  */
-function initMobileMenuToggle() {
-  const toggle = document.querySelector('.site-header__toggle');
-  const nav = document.querySelector('.site-header__nav');
+function initMobileMenuToggle(toggle) {
+  const header = toggle.closest('.site-header') || document;
+  const nav = header.querySelector('.site-header__nav');
 
-  if (!toggle || !nav) return;
+  if (!nav) return null;
 
+  const bars = toggle.querySelectorAll('.site-header__toggle-bar');
+  const controller = new AbortController();
   let isOpen = false;
 
   toggle.addEventListener('click', () => {
     isOpen = !isOpen;
     toggle.setAttribute('aria-expanded', isOpen);
 
-    const bars = toggle.querySelectorAll('.site-header__toggle-bar');
-
     if (isOpen) {
       // Animate to X
       gsap.to(bars[0], {
@@ -161,143 +172,35 @@ function initMobileMenuToggle() {
 
       nav.classList.remove('is-open');
     }
-  });
+  }, { signal: controller.signal });
+
+  return () => {
+    controller.abort();
+    gsap.killTweensOf(bars);
+    gsap.set(bars, { clearProps: 'transform,opacity' });
+    toggle.setAttribute('aria-expanded', 'false');
+    nav.classList.remove('is-open');
+  };
 }
 
-/**
- * Parallax effect for hero backgrounds
- * @param {string} selector - CSS selector for parallax elements
- * @param {number} speed - Parallax speed (0.1 - 0.5 recommended)
- */
-export function initParallax(selector = '.hero__background-image', speed = 0.3) {
-  const elements = document.querySelectorAll(selector);
-
-  if (elements.length === 0) return;
-
-  // Use matchMedia to check for reduced motion preference
-  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-  if (prefersReducedMotion) return;
-
-  elements.forEach(element => {
-    gsap.to(element, {
-      yPercent: speed * 100,
-      ease: 'none',
-      scrollTrigger: {
-        trigger: element.closest('section') || element.parentElement,
-        start: 'top bottom',
-        end: 'bottom top',
-        scrub: true
-      }
-    });
-  });
-}
-
-/**
- * Scroll-driven rotation for decorative images
- * @param {string} selector - CSS selector for elements to rotate
- */
-export function initScrollRotate(selector = '[data-scroll-rotate]') {
-  const elements = document.querySelectorAll(selector);
-
-  elements.forEach(element => {
-    const degrees = parseFloat(element.dataset.scrollRotate) || 360;
-
-    gsap.to(element, {
-      rotation: degrees,
-      ease: 'none',
-      scrollTrigger: {
-        trigger: element,
-        start: 'top bottom',
-        end: 'bottom top',
-        scrub: true
-      }
-    });
-  });
-}
+const interactions = combineLifecycles(
+  createLifecycle('.btn', initButtonTextEffect),
+  createLifecycle('.btn', initButtonHover),
+  createLifecycle('.card', initCardHover),
+  createLifecycle('.site-header__toggle', initMobileMenuToggle)
+);
 
 /**
- * Scroll-driven horizontal translation for decorative elements
- * @param {string} selector - CSS selector for elements to translate
+ * Initialize the interactive animations inside root
+ * Elements that are already set up are left alone
+ * @param {ParentNode} root - Document or inserted block
  */
-export function initScrollTranslateX(selector = '[data-scroll-translate-x]') {
-  const elements = document.querySelectorAll(selector);
-
-  elements.forEach(element => {
-    const distance = parseFloat(element.dataset.scrollTranslateX) || -200;
-
-    gsap.to(element, {
-      x: distance,
-      ease: 'none',
-      scrollTrigger: {
-        trigger: element.closest('section') || element.parentElement,
-        start: 'top bottom',
-        end: 'bottom top',
-        scrub: true
-      }
-    });
-  });
-}
+export const init = interactions.init;
 
 /**
- * Scroll-driven vertical translation for decorative elements
- * @param {string} selector - CSS selector for elements to translate
+ * Remove the interactive animations inside root
+ * @param {ParentNode} root - Document or removed block
  */
-export function initScrollTranslateY(selector = '[data-scroll-translate-y]') {
-  const elements = document.querySelectorAll(selector);
+export const destroy = interactions.destroy;
 
-  elements.forEach(element => {
-    const distance = parseFloat(element.dataset.scrollTranslateY) || -200;
-    const rotation = parseFloat(element.dataset.scrollTranslateYRotate) || 0;
-
-    const props = {
-      y: distance,
-      ease: 'none',
-      scrollTrigger: {
-        trigger: element.closest('section') || element.parentElement,
-        start: 'top bottom',
-        end: 'bottom top',
-        scrub: true
-      }
-    };
-
-    if (rotation) {
-      props.rotation = rotation;
-    }
-
-    gsap.to(element, props);
-  });
-}
-
-/**
- * Counter animation for statistics
- * @param {string} selector - CSS selector for counter elements
- */
-export function initCounters(selector = '[data-counter]') {
-  const counters = document.querySelectorAll(selector);
-
-  counters.forEach(counter => {
-    const target = parseFloat(counter.dataset.counter);
-    const suffix = counter.dataset.counterSuffix || '';
-    const decimals = parseInt(counter.dataset.counterDecimals, 10) || 0;
-    const duration = parseFloat(counter.dataset.counterDuration) || 2;
-
-    const obj = { value: 0 };
-
-    gsap.to(obj, {
-      value: target,
-      duration,
-      ease: 'power2.out',
-      scrollTrigger: {
-        trigger: counter,
-        start: 'top 80%',
-        toggleActions: 'play none none none'
-      },
-      onUpdate: () => {
-        const formatted = decimals > 0
-          ? obj.value.toFixed(decimals)
-          : Math.round(obj.value).toLocaleString();
-        counter.textContent = formatted + suffix;
-      }
-    });
-  });
-}
+export { init as initInteractiveAnimations };
@@ -0,0 +1,379 @@
+/**
+ * Marquee Engine
+ *
+ * Scrolls a track of items continuously and seamlessly. Copies of the items
+ * are appended until the track covers the viewport, and recounted when the
+ * viewport or the items change size. The copies are hidden from assistive
+ * technology and taken out of the tab order.
+ *
+ * - Pauses while hovered or while something inside has focus (the focused
+ *   item is scrolled into view), and doesn't move for prefers-reduced-motion
+ * - Can be dragged or swiped, and keeps moving with the drag's speed before
+ *   easing back to its own
+ * - A [data-marquee-pause] button inside the element pauses and resumes it
+ *   (aria-pressed); it's shown once the marquee runs
+ *
+ * Data attributes on the element (they override the options passed in):
+ * - data-marquee-speed="50" (pixels per second)
+ * - data-marquee-direction="left|right"
+ * - data-marquee-pause-on-hover="false" / data-marquee-pause-on-focus="false"
+ *
+ * Usage:
+ * <div data-marquee data-marquee-speed="30">
+ *   <button type="button" data-marquee-pause aria-pressed="false" hidden>Pause</button>
+ *   <div class="viewport"><div data-marquee-track>...items...</div></div>
+ * </div>
+ *
+ * const marquee = createMarquee(element, { track: element.querySelector('.track') });
+ * marquee.pause(); marquee.play(); marquee.destroy();
+ *
+ * The viewport is the track's parent, which should clip it (overflow: hidden)
+ * and lay the items out in a row (the track is display: flex).
+ */
+
+const DEFAULTS = {
+  speed: 50,
+  direction: 'left',
+  pauseOnHover: true,
+  pauseOnFocus: true
+};
+
+const DIRECTIONS = { left: -1, right: 1 };
+
+// How quickly the speed settles after a drag, a pause or a resume (per second)
+const EASING = 3;
+
+// Pointer movement (in pixels) that turns a press into a drag
+const DRAG_THRESHOLD = 5;
+
+// A drag released after holding still this long (ms) has no inertia
+const RELEASE_WINDOW = 100;
+
+/**
+ * Marquee options from an element's data attributes
+ * @param {HTMLElement} element - Element with data-marquee-* attributes
+ */
+export function marqueeOptions(element) {
+  const data = element.dataset;
+  const options = {};
+
+  if (data.marqueeSpeed !== undefined) {
+    const speed = parseFloat(data.marqueeSpeed);
+    if (speed >= 0) {
+      options.speed = speed;
+    } else {
+      console.warn(`[marquee] Invalid data-marquee-speed "${data.marqueeSpeed}" - use pixels per second`);
+    }
+  }
+
+  if (data.marqueeDirection !== undefined) {
+    if (data.marqueeDirection in DIRECTIONS) {
+      options.direction = data.marqueeDirection;
+    } else {
+      console.warn(`[marquee] Unknown data-marquee-direction "${data.marqueeDirection}" - use ${Object.keys(DIRECTIONS).join(' or ')}`);
+    }
+  }
+
+  if (data.marqueePauseOnHover !== undefined) options.pauseOnHover = data.marqueePauseOnHover !== 'false';
+  if (data.marqueePauseOnFocus !== undefined) options.pauseOnFocus = data.marqueePauseOnFocus !== 'false';
+
+  return options;
+}
+
+/**
+ * Start a marquee
+ * @param {HTMLElement} element - The marquee, with its configuration and pause button
+ * @param {Object} options - track (default [data-marquee-track]), speed, direction, pauseOnHover, pauseOnFocus
+ * @returns {{pause: Function, play: Function, destroy: Function}|null} null without a track or items
+ */
+export function createMarquee(element, options = {}) {
+  const {
+    track = element.querySelector('[data-marquee-track]'),
+    speed,
+    direction,
+    pauseOnHover,
+    pauseOnFocus
+  } = { ...DEFAULTS, ...options, ...marqueeOptions(element) };
+
+  if (!track || !track.parentElement || track.children.length === 0) return null;
+
+  const viewport = track.parentElement;
+  const originals = Array.from(track.children);
+  const pauseButton = element.querySelector('[data-marquee-pause]');
+  const servedHidden = pauseButton ? pauseButton.hidden : true;
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const clones = [];
+  let copies = 0;
+  let setWidth = 0;
+  let position = 0;
+  let velocity = 0;
+  let frame = null;
+  let lastTime = null;
+  let drag = null;
+  let suppressClick = false;
+  let hovered = false;
+  let focused = false;
+  let pausedByUser = false;
+  let visible = true;
+
+  // Keep position within one set, so the copies line up seamlessly
+  function wrap(x) {
+    if (setWidth <= 0) return 0;
+    const rest = x % setWidth;
+    return rest > 0 ? rest - setWidth : rest;
+  }
+
+  function render() {
+    track.style.transform = `translate3d(${position}px, 0, 0)`;
+  }
+
+  // Copies are data-generated, so main.js doesn't set them up as new content
+  function addCopy() {
+    originals.forEach(item => {
+      const clone = item.cloneNode(true);
+      clone.setAttribute('aria-hidden', 'true');
+      clone.inert = true;
+      clone.dataset.generated = '';
+      clone.removeAttribute('id');
+      clone.querySelectorAll('[id]').forEach(node => node.removeAttribute('id'));
+      track.appendChild(clone);
+      clones.push(clone);
+    });
+    copies++;
+  }
+
+  function removeCopy() {
+    clones.splice(-originals.length).forEach(clone => clone.remove());
+    copies--;
+  }
+
+  // Keep enough copies to cover the viewport at any position. Copies are
+  // only added or removed when that number changes, otherwise a resize just
+  // measures the set again
+  function fill() {
+    // The first copy measures a set, gap included
+    if (copies === 0) addCopy();
+    setWidth = clones[0].offsetLeft - originals[0].offsetLeft;
+
+    const needed = setWidth > 0 ? Math.max(1, Math.ceil(viewport.clientWidth / setWidth)) : 1;
+    while (copies < needed) addCopy();
+    while (copies > needed) removeCopy();
+
+    position = wrap(position);
+    render();
+  }
+
+  function targetVelocity() {
+    const paused = pausedByUser
+      || reducedMotion.matches
+      || (pauseOnHover && hovered)
+      || (pauseOnFocus && focused);
+
+    return paused ? 0 : DIRECTIONS[direction] * speed;
+  }
+
+  function tick(now) {
+    frame = null;
+
+    const dt = lastTime === null ? 0 : Math.min((now - lastTime) / 1000, 0.1);
+    lastTime = now;
+
+    const target = targetVelocity();
+    velocity += (target - velocity) * (1 - Math.exp(-EASING * dt));
+    position = wrap(position + velocity * dt);
+    render();
+
+    // Stop the loop once the marquee has come to rest
+    if (target === 0 && Math.abs(velocity) < 1) {
+      velocity = 0;
+      lastTime = null;
+      return;
+    }
+
+    if (visible && !drag) {
+      frame = requestAnimationFrame(tick);
+    } else {
+      lastTime = null;
+    }
+  }
+
+  function wake() {
+    if (frame === null && visible && !drag) frame = requestAnimationFrame(tick);
+  }
+
+  function updateButton() {
+    if (!pauseButton) return;
+
+    pauseButton.hidden = reducedMotion.matches || speed === 0;
+    pauseButton.setAttribute('aria-pressed', pausedByUser ? 'true' : 'false');
+  }
+
+  // Move the track so a focused item is inside the viewport
+  function reveal(target) {
+    const view = viewport.getBoundingClientRect();
+    const rect = target.getBoundingClientRect();
+
+    if (rect.left < view.left) {
+      position += view.left - rect.left;
+    } else if (rect.right > view.right) {
+      position -= rect.right - view.right;
+    } else {
+      return;
+    }
+
+    position = wrap(position);
+    render();
+  }
+
+  // Hover and focus
+  viewport.addEventListener('pointerenter', (e) => {
+    if (e.pointerType !== 'mouse') return;
+    hovered = true;
+    wake();
+  }, { signal });
+
+  viewport.addEventListener('pointerleave', () => {
+    hovered = false;
+    wake();
+  }, { signal });
+
+  viewport.addEventListener('focusin', (e) => {
+    focused = true;
+
+    // The browser scrolls the clipped viewport to show the focused item;
+    // undo that and move the track instead
+    requestAnimationFrame(() => {
+      viewport.scrollLeft = 0;
+      reveal(e.target);
+    });
+    wake();
+  }, { signal });
+
+  viewport.addEventListener('focusout', (e) => {
+    if (viewport.contains(e.relatedTarget)) return;
+    focused = false;
+    wake();
+  }, { signal });
+
+  // Pointer drag, with the release speed carried on as inertia
+  viewport.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+
+    suppressClick = false;
+    drag = { id: e.pointerId, startX: e.clientX, x: e.clientX, time: e.timeStamp, velocity: 0, moved: false };
+  }, { signal });
+
+  viewport.addEventListener('pointermove', (e) => {
+    if (!drag || e.pointerId !== drag.id) return;
+
+    if (!drag.moved) {
+      if (Math.abs(e.clientX - drag.startX) < DRAG_THRESHOLD) return;
+
+      drag.moved = true;
+      viewport.setPointerCapture(e.pointerId);
+      viewport.classList.add('is-dragging');
+      cancelAnimationFrame(frame);
+      frame = null;
+      lastTime = null;
+    }
+
+    const dx = e.clientX - drag.x;
+    const dt = (e.timeStamp - drag.time) / 1000;
+
+    position = wrap(position + dx);
+    render();
+
+    if (dt > 0) drag.velocity = 0.8 * (dx / dt) + 0.2 * drag.velocity;
+    drag.x = e.clientX;
+    drag.time = e.timeStamp;
+  }, { signal });
+
+  function release(e) {
+    if (!drag || e.pointerId !== drag.id) return;
+
+    if (drag.moved) {
+      velocity = e.timeStamp - drag.time < RELEASE_WINDOW ? drag.velocity : 0;
+      suppressClick = true;
+      viewport.classList.remove('is-dragging');
+    }
+
+    drag = null;
+    wake();
+  }
+
+  viewport.addEventListener('pointerup', release, { signal });
+  viewport.addEventListener('pointercancel', release, { signal });
+
+  // A drag isn't a click on the card it started on
+  viewport.addEventListener('click', (e) => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.preventDefault();
+    e.stopPropagation();
+  }, { capture: true, signal });
+
+  viewport.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+
+  if (pauseButton) {
+    pauseButton.addEventListener('click', () => {
+      pausedByUser = !pausedByUser;
+      updateButton();
+      wake();
+    }, { signal });
+  }
+
+  reducedMotion.addEventListener('change', () => {
+    updateButton();
+    wake();
+  }, { signal });
+
+  // Recount the copies when the viewport or the items change size
+  const resizeObserver = new ResizeObserver(() => fill());
+  resizeObserver.observe(viewport);
+  originals.forEach(item => resizeObserver.observe(item));
+
+  // Don't animate off-screen
+  const intersectionObserver = new IntersectionObserver(entries => {
+    visible = entries[entries.length - 1].isIntersecting;
+    wake();
+  });
+  intersectionObserver.observe(viewport);
+
+  viewport.classList.add('is-marquee');
+  fill();
+  updateButton();
+  wake();
+
+  return {
+    pause() {
+      pausedByUser = true;
+      updateButton();
+      wake();
+    },
+
+    play() {
+      pausedByUser = false;
+      updateButton();
+      wake();
+    },
+
+    destroy() {
+      controller.abort();
+      cancelAnimationFrame(frame);
+      resizeObserver.disconnect();
+      intersectionObserver.disconnect();
+
+      clones.forEach(clone => clone.remove());
+      track.style.removeProperty('transform');
+      viewport.classList.remove('is-marquee', 'is-dragging');
+
+      if (pauseButton) {
+        pauseButton.hidden = servedHidden;
+        pauseButton.setAttribute('aria-pressed', 'false');
+      }
+    }
+  };
+}
@@ -11,11 +11,43 @@
  * - data-animate="fade-in|fade-up|fade-left|fade-right|scale-in"
  * - data-animate-delay="100" (milliseconds)
  * - data-animate-duration="0.8" (seconds)
+ * - data-animate-ease="back.out(1.7)" (any GSAP ease; default from the preset, else power2.out)
+ * - data-animate-start="top 70%" / data-animate-end="bottom 30%" (ScrollTrigger positions)
+ * - data-animate-scrub (tie progress to the scroll position; a number smooths it, in seconds)
+ * - data-animate-once="false" (reverse when scrolled out of view, play again on re-entry)
  * - data-animate-stagger="0.1" (for parent containers)
+ * - data-animate-stagger-from="start|center|end|random" (on the container)
+ *
+ * In a stagger container each child plays its own preset, delay, duration
+ * and ease, so one section can mix fade-up headings with scale-in cards.
+ * The container's own start, end, scrub and once attributes control when
+ * the sequence plays.
+ *
+ * Custom presets (themes, blocks) resolve the same way as the built-ins:
+ *
+ * import { registerAnimation } from './animations/scroll-animations.js';
+ * registerAnimation('swing-in', {
+ *   from: { opacity: 0, rotation: -10 },
+ *   to: { opacity: 1, rotation: 0 },
+ *   ease: 'back.out(1.7)',  // optional
+ *   duration: 1.2           // optional, data-animate-duration still wins
+ * });
+ *
+ * or, without any JavaScript, as JSON anywhere in the page:
+ * <script type="application/json" data-animation-presets>
+ *   { "swing-in": { "from": { "opacity": 0, "rotation": -10 }, "to": { "opacity": 1, "rotation": 0 } } }
+ * </script>
+ *
+ * Elements using a preset that isn't registered yet wait for it, so a block
+ * script can register its presets after this module has initialized.
+ *
+ * init(root) and destroy(root) work on one block at a time (see
+ * lifecycle.js); destroy() kills its tweens and restores the styles they set.
  */
 
 import gsap from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { createLifecycle, combineLifecycles, elementsIn } from '../lifecycle.js';
 
 // Register GSAP plugins
 gsap.registerPlugin(ScrollTrigger);
@@ -56,138 +88,306 @@ const animations = {
   }
 };
 
+// Elements waiting for a preset that isn't registered yet, by preset name
+const pending = new Map();
+
 // Default options
 const defaults = {
   duration: 0.8,
   ease: 'power2.out',
   start: 'top 85%',
-  toggleActions: 'play none none none'
+  toggleActions: 'play none none none',
+  // data-animate-once="false": reverse on leaving, play again on re-entry
+  replayActions: 'play reverse play reverse'
 };
 
+const STAGGER_FROM = ['start', 'center', 'end', 'random'];
+
 /**
- * Initialize scroll animations
+ * Register a data-animate preset, or replace one
+ * @param {string} name - Value of data-animate
+ * @param {Object} preset - { from, to } GSAP properties, optional ease and duration
  */
-export function initScrollAnimations() {
-  // Check for reduced motion preference
-  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+export function registerAnimation(name, preset = {}) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new TypeError('[animations] registerAnimation() needs a preset name');
+  }
 
-  if (prefersReducedMotion) {
-    // Remove animation attributes and show content immediately
-    document.querySelectorAll('[data-animate]').forEach(el => {
-      el.style.opacity = 1;
-    });
-    return;
+  const { from, to, ease, duration } = preset;
+  if (!isPlainObject(from) || !isPlainObject(to)) {
+    throw new TypeError(`[animations] Preset "${name}" needs "from" and "to" objects of GSAP properties`);
   }
 
-  // Find all elements with data-animate attribute
-  // Exclude elements inside stagger containers (they're handled by initStaggerAnimations)
-  const animatedElements = document.querySelectorAll('[data-animate]');
+  animations[name] = { from, to };
+  if (ease) animations[name].ease = ease;
+  if (duration !== undefined) animations[name].duration = parseFloat(duration);
+
+  // Animate the elements that were waiting for it
+  const waiting = pending.get(name);
+  if (waiting) {
+    pending.delete(name);
+    waiting.forEach(animate => animate());
+  }
+}
 
-  animatedElements.forEach(element => {
-    // Skip if this element is inside a stagger container
-    if (element.closest('[data-animate-stagger]')) {
+/**
+ * Register the presets declared in <script type="application/json" data-animation-presets>
+ * @param {ParentNode} root - Where to look for preset scripts
+ */
+export function loadAnimationPresets(root = document) {
+  root.querySelectorAll('script[type="application/json"][data-animation-presets]').forEach(script => {
+    let presets;
+    try {
+      presets = JSON.parse(script.textContent);
+    } catch (error) {
+      console.warn(`[animations] Invalid JSON in data-animation-presets: ${error.message}`);
       return;
     }
 
-    const animationType = element.dataset.animate;
-    const animation = animations[animationType];
+    Object.entries(presets).forEach(([name, preset]) => {
+      try {
+        registerAnimation(name, preset);
+      } catch (error) {
+        console.warn(error.message);
+      }
+    });
+  });
+}
 
-    if (!animation) {
-      console.warn(`Unknown animation type: ${animationType}`);
-      return;
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Run an animation once its preset is registered - right away for known presets
+ * Returns a function that cancels a pending animation
+ */
+function withPreset(name, animate) {
+  if (animations[name]) {
+    animate(animations[name]);
+    return () => {};
+  }
+
+  const run = () => animate(animations[name]);
+  if (!pending.has(name)) pending.set(name, []);
+  pending.get(name).push(run);
+
+  // Stop waiting - the element has been destroyed
+  return () => {
+    const waiting = (pending.get(name) || []).filter(item => item !== run);
+    if (waiting.length > 0) {
+      pending.set(name, waiting);
+    } else {
+      pending.delete(name);
     }
+  };
+}
+
+/**
+ * Warn about presets that were never registered, once the page has loaded
+ */
+function warnUnknownAnimations() {
+  const warn = () => {
+    pending.forEach((waiting, name) => {
+      console.warn(`[animations] Unknown animation type "${name}" (${waiting.length} element(s)) - add it with registerAnimation() or a data-animation-presets script`);
+    });
+  };
+
+  if (document.readyState === 'complete') {
+    setTimeout(warn);
+  } else {
+    window.addEventListener('load', warn, { once: true });
+  }
+}
 
-    // Get custom options from data attributes
-    const delay = parseFloat(element.dataset.animateDelay) / 1000 || 0;
-    const duration = parseFloat(element.dataset.animateDuration) || defaults.duration;
+/**
+ * Single animated elements
+ * Elements inside a stagger container play in its sequence instead
+ */
+const singles = createLifecycle('[data-animate]', element => {
+  if (element.closest('[data-animate-stagger]')) return null;
 
+  const ctx = gsap.context(() => {});
+  const cancel = withPreset(element.dataset.animate, animation => ctx.add(() => {
     // Set initial state
     gsap.set(element, animation.from);
 
     // Create scroll trigger animation
     gsap.to(element, {
       ...animation.to,
-      duration,
-      delay,
-      ease: defaults.ease,
-      scrollTrigger: {
-        trigger: element,
-        start: defaults.start,
-        toggleActions: defaults.toggleActions
-      }
+      ...tweenOptions(element, animation),
+      scrollTrigger: scrollTriggerOptions(element)
     });
-  });
+  }));
+
+  return () => {
+    cancel();
+    ctx.revert();
+  };
+});
+
+const effects = combineLifecycles(
+  singles,
+  createLifecycle('[data-animate-stagger]', initStaggerAnimation),
+  createLifecycle('[data-animate-image-fade]', initImageFadeAnimation),
+  createLifecycle('.card-icons__butterfly', initButterflyAnimation),
+  createLifecycle('[data-animate-marquee-stagger]', initMarqueeStaggerAnimation)
+);
 
-  // Handle staggered children animations
-  initStaggerAnimations();
+/**
+ * Initialize the scroll animations inside root
+ * Elements that are already animated are left alone
+ * @param {ParentNode} root - Document or inserted block
+ */
+export function init(root = document) {
+  // Check for reduced motion preference
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
-  // Handle image fade on scroll
-  initImageFadeAnimations();
+  if (prefersReducedMotion) {
+    // Show content immediately
+    elementsIn(root, '[data-animate]').forEach(el => {
+      el.style.opacity = 1;
+    });
+    return 0;
+  }
 
-  // Handle butterfly fly-in animation
-  initButterflyAnimation();
+  // Presets declared in the page
+  loadAnimationPresets(root);
 
-  // Handle testimonial marquee stagger animation
-  initMarqueeStaggerAnimation();
+  const count = effects.init(root);
+
+  if (pending.size > 0) warnUnknownAnimations();
+  return count;
+}
+
+/**
+ * Kill the scroll animations inside root and restore the elements' styles
+ * @param {ParentNode} root - Document or removed block
+ */
+export function destroy(root = document) {
+  effects.destroy(root);
 }
 
+export { init as initScrollAnimations };
+
 /**
- * Initialize staggered animations for container elements
+ * Staggered animation of a container's children
  * Usage: <div data-animate-stagger="0.1"> with children having data-animate
+ * Each child plays its own preset; the container's scroll position drives the sequence
  */
-function initStaggerAnimations() {
-  const staggerContainers = document.querySelectorAll('[data-animate-stagger]');
+function initStaggerAnimation(container) {
+  const stagger = parseFloat(container.dataset.animateStagger) || 0.1;
+  const children = Array.from(container.querySelectorAll('[data-animate]'));
 
-  staggerContainers.forEach(container => {
-    const stagger = parseFloat(container.dataset.animateStagger) || 0.1;
-    const children = container.querySelectorAll('[data-animate]');
+  if (children.length === 0) return null;
 
-    if (children.length === 0) return;
+  const offsets = staggerOffsets(children.length, stagger, container.dataset.animateStaggerFrom);
+  const ctx = gsap.context(() => {});
+  const timeline = ctx.add(() => gsap.timeline({ scrollTrigger: scrollTriggerOptions(container) }));
 
-    // Get animation type from first child (assume all same)
-    const animationType = children[0].dataset.animate;
-    const animation = animations[animationType];
+  const cancels = children.map((child, i) => withPreset(child.dataset.animate, animation => ctx.add(() => {
+    const { delay, ...options } = tweenOptions(child, animation);
 
-    if (!animation) return;
+    // A preset registered after the sequence has played past this child
+    if (timeline.time() > offsets[i] + delay) {
+      gsap.fromTo(child, animation.from, { ...animation.to, ...options });
+      return;
+    }
 
-    // Set initial state for all children
-    gsap.set(children, animation.from);
+    // Set initial state
+    gsap.set(child, animation.from);
+    timeline.to(child, { ...animation.to, ...options }, offsets[i] + delay);
+  })));
+
+  return () => {
+    cancels.forEach(cancel => cancel());
+    ctx.revert();
+  };
+}
 
-    // Create staggered animation
-    gsap.to(children, {
-      ...animation.to,
-      duration: defaults.duration,
-      stagger,
-      ease: defaults.ease,
-      scrollTrigger: {
-        trigger: container,
-        start: defaults.start,
-        toggleActions: defaults.toggleActions
-      }
-    });
+/**
+ * Duration, delay and ease of an element's tween
+ * Data attributes override the preset, which overrides the defaults
+ */
+function tweenOptions(element, animation) {
+  const data = element.dataset;
+
+  return {
+    duration: parseFloat(data.animateDuration) || animation.duration || defaults.duration,
+    delay: parseFloat(data.animateDelay) / 1000 || 0,
+    ease: data.animateEase || animation.ease || defaults.ease
+  };
+}
+
+/**
+ * ScrollTrigger settings from an element's data-animate-start, -end, -scrub and -once
+ */
+function scrollTriggerOptions(element) {
+  const data = element.dataset;
+  const options = {
+    trigger: element,
+    start: data.animateStart || defaults.start,
+    toggleActions: data.animateOnce === 'false' ? defaults.replayActions : defaults.toggleActions
+  };
+
+  if (data.animateEnd) options.end = data.animateEnd;
+
+  // data-animate-scrub or data-animate-scrub="true": follow the scroll position
+  // exactly; data-animate-scrub="0.5": catch up over half a second
+  if (data.animateScrub !== undefined && data.animateScrub !== 'false') {
+    const smoothing = parseFloat(data.animateScrub);
+    options.scrub = Number.isFinite(smoothing) ? smoothing : true;
+  }
+
+  return options;
+}
+
+/**
+ * Start time of each child in a stagger sequence, counted from the
+ * start, center or end of the list, or in random order
+ */
+function staggerOffsets(count, each, from = 'start') {
+  if (!STAGGER_FROM.includes(from)) {
+    console.warn(`[animations] Unknown data-animate-stagger-from "${from}" - use ${STAGGER_FROM.join(', ')}`);
+    from = 'start';
+  }
+
+  const middle = (count - 1) / 2;
+  const order = Array.from({ length: count }, (_, i) => i);
+
+  if (from === 'random') {
+    // Fisher-Yates shuffle of the play order
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  }
+
+  return order.map((position, i) => {
+    if (from === 'end') return (count - 1 - i) * each;
+    if (from === 'center') return Math.abs(i - middle) * each;
+    return position * each;
   });
 }
 
 /**
- * Initialize image fade animations on scroll
+ * Image fade animation on scroll
  * Usage: <div data-animate-image-fade> with multiple child images
  * Images will crossfade as user scrolls near the bottom of the section
  */
-function initImageFadeAnimations() {
-  const fadeContainers = document.querySelectorAll('[data-animate-image-fade]');
-
-  fadeContainers.forEach(container => {
-    const images = container.querySelectorAll('img');
+function initImageFadeAnimation(container) {
+  const images = container.querySelectorAll('img');
 
-    if (images.length < 2) return;
+  if (images.length < 2) return null;
 
-    // Get the parent section for scroll trigger bounds
-    const section = container.closest('section');
-    if (!section) return;
+  // Get the parent section for scroll trigger bounds
+  const section = container.closest('section');
+  if (!section) return null;
 
-    const secondImage = images[1];
+  const secondImage = images[1];
 
-    // Crossfade images as you scroll through the section
+  // Crossfade images as you scroll through the section
+  const ctx = gsap.context(() => {
     gsap.to(images[0], {
       opacity: 0,
       ease: 'none',
@@ -210,23 +410,23 @@ function initImageFadeAnimations() {
       }
     });
   });
+
+  return () => ctx.revert();
 }
 
 /**
- * Initialize butterfly fly-in animation
+ * Butterfly fly-in animation
  * Butterfly moves from right 25% to 40% on scroll when 3rd card comes into view
  */
-function initButterflyAnimation() {
-  const butterflies = document.querySelectorAll('.card-icons__butterfly');
-
-  butterflies.forEach(butterfly => {
-    const section = butterfly.closest('section');
-    if (!section) return;
+function initButterflyAnimation(butterfly) {
+  const section = butterfly.closest('section');
+  if (!section) return null;
 
-    // Target the grid to trigger when 3rd card is visible
-    const grid = section.querySelector('.card-icons__grid');
-    if (!grid) return;
+  // Target the grid to trigger when 3rd card is visible
+  const grid = section.querySelector('.card-icons__grid');
+  if (!grid) return null;
 
+  const ctx = gsap.context(() => {
     gsap.to(butterfly, {
       right: '40%',
       opacity: 1,
@@ -239,6 +439,8 @@ function initButterflyAnimation() {
       }
     });
   });
+
+  return () => ctx.revert();
 }
 
 /**
@@ -250,20 +452,18 @@ export function refreshScrollTrigger() {
 }
 
 /**
- * Initialize marquee stagger animation for testimonials
+ * Marquee stagger animation for testimonials
  * Images fade in with stagger effect when block comes into view
  */
-function initMarqueeStaggerAnimation() {
-  const marquees = document.querySelectorAll('[data-animate-marquee-stagger]');
+function initMarqueeStaggerAnimation(marquee) {
+  // Only animate the first row's items (second row is duplicate for seamless loop)
+  const firstRow = marquee.querySelector('.testimonials__marquee-row');
+  if (!firstRow) return null;
 
-  marquees.forEach(marquee => {
-    // Only animate the first row's items (second row is duplicate for seamless loop)
-    const firstRow = marquee.querySelector('.testimonials__marquee-row');
-    if (!firstRow) return;
-
-    const items = firstRow.querySelectorAll('.testimonials__marquee-item');
-    if (items.length === 0) return;
+  const items = firstRow.querySelectorAll('.testimonials__marquee-item');
+  if (items.length === 0) return null;
 
+  const ctx = gsap.context(self => {
     // Set initial state - hidden
     gsap.set(items, { opacity: 0, y: 30 });
 
@@ -290,17 +490,19 @@ function initMarqueeStaggerAnimation() {
         // Fade in second row after first row completes
         if (secondRow) {
           const secondRowItems = secondRow.querySelectorAll('.testimonials__marquee-item');
-          gsap.to(secondRowItems, {
+          self.add(() => gsap.to(secondRowItems, {
             opacity: 1,
             y: 0,
             duration: 0.4,
             stagger: 0.05,
             ease: 'power2.out'
-          });
+          }));
         }
       }
     });
   });
+
+  return () => ctx.revert();
 }
 
 /**
@@ -0,0 +1,184 @@
+/**
+ * Scroll-Driven Effects
+ *
+ * GSAP ScrollTrigger effects configured per element: parallax backgrounds,
+ * decorative rotation and translation, and statistic counters.
+ *
+ * WordPress Note: Only loaded on pages with one of these elements (see the
+ * module registry in main.js), so blocks without them don't pull in ScrollTrigger.
+ *
+ * Each effect takes the root to set up (see lifecycle.js); init(root) and
+ * destroy(root) run all of them.
+ */
+
+import gsap from 'gsap';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { createLifecycle, combineLifecycles } from '../lifecycle.js';
+
+// Register GSAP plugins
+gsap.registerPlugin(ScrollTrigger);
+
+// Parallax speed of hero backgrounds (0.1 - 0.5 recommended)
+const PARALLAX_SPEED = 0.3;
+
+// Run a GSAP setup in a context, so its tweens and styles can be reverted
+function reverting(setup) {
+  return element => {
+    const ctx = gsap.context(() => setup(element));
+    return () => ctx.revert();
+  };
+}
+
+const parallax = createLifecycle('.hero__background-image', reverting(element => {
+  gsap.to(element, {
+    yPercent: PARALLAX_SPEED * 100,
+    ease: 'none',
+    scrollTrigger: {
+      trigger: element.closest('section') || element.parentElement,
+      start: 'top bottom',
+      end: 'bottom top',
+      scrub: true
+    }
+  });
+}));
+
+const scrollRotate = createLifecycle('[data-scroll-rotate]', reverting(element => {
+  const degrees = parseFloat(element.dataset.scrollRotate) || 360;
+
+  gsap.to(element, {
+    rotation: degrees,
+    ease: 'none',
+    scrollTrigger: {
+      trigger: element,
+      start: 'top bottom',
+      end: 'bottom top',
+      scrub: true
+    }
+  });
+}));
+
+const scrollTranslateX = createLifecycle('[data-scroll-translate-x]', reverting(element => {
+  const distance = parseFloat(element.dataset.scrollTranslateX) || -200;
+
+  gsap.to(element, {
+    x: distance,
+    ease: 'none',
+    scrollTrigger: {
+      trigger: element.closest('section') || element.parentElement,
+      start: 'top bottom',
+      end: 'bottom top',
+      scrub: true
+    }
+  });
+}));
+
+const scrollTranslateY = createLifecycle('[data-scroll-translate-y]', reverting(element => {
+  const distance = parseFloat(element.dataset.scrollTranslateY) || -200;
+  const rotation = parseFloat(element.dataset.scrollTranslateYRotate) || 0;
+
+  const props = {
+    y: distance,
+    ease: 'none',
+    scrollTrigger: {
+      trigger: element.closest('section') || element.parentElement,
+      start: 'top bottom',
+      end: 'bottom top',
+      scrub: true
+    }
+  };
+
+  if (rotation) {
+    props.rotation = rotation;
+  }
+
+  gsap.to(element, props);
+}));
+
+const counters = createLifecycle('[data-counter]', counter => {
+  const target = parseFloat(counter.dataset.counter);
+  const suffix = counter.dataset.counterSuffix || '';
+  const decimals = parseInt(counter.dataset.counterDecimals, 10) || 0;
+  const duration = parseFloat(counter.dataset.counterDuration) || 2;
+  const text = counter.textContent;
+
+  const obj = { value: 0 };
+
+  const tween = gsap.to(obj, {
+    value: target,
+    duration,
+    ease: 'power2.out',
+    scrollTrigger: {
+      trigger: counter,
+      start: 'top 80%',
+      toggleActions: 'play none none none'
+    },
+    onUpdate: () => {
+      const formatted = decimals > 0
+        ? obj.value.toFixed(decimals)
+        : Math.round(obj.value).toLocaleString();
+      counter.textContent = formatted + suffix;
+    }
+  });
+
+  return () => {
+    tween.scrollTrigger.kill();
+    tween.kill();
+    counter.textContent = text;
+  };
+});
+
+const effects = combineLifecycles(parallax, scrollRotate, scrollTranslateX, scrollTranslateY, counters);
+
+/**
+ * Parallax effect for hero backgrounds
+ * @param {ParentNode} root - Document or block to set up
+ */
+export function initParallax(root = document) {
+  // Use matchMedia to check for reduced motion preference
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  if (prefersReducedMotion) return 0;
+
+  return parallax.init(root);
+}
+
+/**
+ * Scroll-driven rotation for decorative images
+ * Usage: <img data-scroll-rotate="180"> (degrees, default 360)
+ */
+export const initScrollRotate = scrollRotate.init;
+
+/**
+ * Scroll-driven horizontal translation for decorative elements
+ * Usage: <img data-scroll-translate-x="-200"> (pixels)
+ */
+export const initScrollTranslateX = scrollTranslateX.init;
+
+/**
+ * Scroll-driven vertical translation for decorative elements
+ * Usage: <img data-scroll-translate-y="-200" data-scroll-translate-y-rotate="15">
+ */
+export const initScrollTranslateY = scrollTranslateY.init;
+
+/**
+ * Counter animation for statistics
+ * Usage: <span data-counter="1200" data-counter-suffix="+" data-counter-decimals="0" data-counter-duration="2">
+ */
+export const initCounters = counters.init;
+
+/**
+ * Initialize every scroll effect inside root
+ * @param {ParentNode} root - Document or inserted block
+ */
+export function init(root = document) {
+  return initParallax(root)
+    + scrollRotate.init(root)
+    + scrollTranslateX.init(root)
+    + scrollTranslateY.init(root)
+    + counters.init(root);
+}
+
+/**
+ * Kill the scroll effects inside root and restore the elements
+ * @param {ParentNode} root - Document or removed block
+ */
+export const destroy = effects.destroy;
@@ -1,203 +1,357 @@
 /**
- * Testimonials Pagination & Marquee Setup
+ * Testimonials Carousel & Marquee Setup
  *
- * Handles testimonial card pagination with smooth transitions.
- * Also wraps marquee images with proper HTML structure.
+ * Turns the testimonials--carousel variant into an accessible carousel with
+ * optional autoplay and looping, configured by data attributes on the block
+ * (see blocks/testimonials/testimonials.html). The default variant stays a
+ * grid. Also wraps marquee images with proper HTML structure and runs
+ * them through the marquee engine (marquee.js).
  * WordPress Note: Can be enqueued conditionally when testimonials block is present.
+ *
+ * init(root) and destroy(root) work on one block at a time (see
+ * lifecycle.js); destroy() puts back the markup the block was served with.
  */
 
+import { createLifecycle, combineLifecycles } from '../lifecycle.js';
+import { createMarquee } from './marquee.js';
+
 /**
- * Initialize testimonial marquee images
- * Wraps raw img tags with proper marquee-item divs and size variants
+ * Testimonial marquee images
+ * Wraps raw img tags with proper marquee-item divs and size variants, then
+ * scrolls them with the marquee engine (data-marquee-* attributes apply)
  */
-export function initTestimonialsMarquee() {
-  const marquees = document.querySelectorAll('[data-testimonials-marquee]');
-
-  marquees.forEach(marquee => {
-    const track = marquee.querySelector('.testimonials__marquee-track');
-    if (!track) return;
-
-    // Get all img tags
-    const images = Array.from(track.querySelectorAll('img'));
-    if (images.length === 0) return;
-
-    // Size variant pattern: tall, wide, normal, tall, wide, normal, tall, wide
-    const sizePattern = ['tall', 'wide', '', 'tall', 'wide', '', 'tall', 'wide'];
-
-    // Create two rows (original + duplicate for seamless loop)
-    const row1 = document.createElement('div');
-    row1.className = 'testimonials__marquee-row';
-
-    const row2 = document.createElement('div');
-    row2.className = 'testimonials__marquee-row';
-
-    // Wrap each image and add to both rows
-    images.forEach((img, index) => {
-      const sizeClass = sizePattern[index % sizePattern.length];
-
-      // Create wrapper for row 1
-      const wrapper1 = document.createElement('div');
-      wrapper1.className = `testimonials__marquee-item${sizeClass ? ' testimonials__marquee-item--' + sizeClass : ''}`;
-      wrapper1.appendChild(img.cloneNode(true));
-      row1.appendChild(wrapper1);
-
-      // Create wrapper for row 2 (duplicate)
-      const wrapper2 = document.createElement('div');
-      wrapper2.className = `testimonials__marquee-item${sizeClass ? ' testimonials__marquee-item--' + sizeClass : ''}`;
-      wrapper2.appendChild(img.cloneNode(true));
-      row2.appendChild(wrapper2);
-    });
+function initTestimonialsMarquee(marquee) {
+  const track = marquee.querySelector('.testimonials__marquee-track');
+  if (!track) return null;
+
+  // Get all images (responsive ones come wrapped in <picture>)
+  const images = Array.from(track.querySelectorAll(':scope > picture, :scope > img'));
+  if (images.length === 0) return null;
+
+  const original = Array.from(track.childNodes);
+
+  // Size variant pattern: tall, wide, normal, tall, wide, normal, tall, wide
+  const sizePattern = ['tall', 'wide', '', 'tall', 'wide', '', 'tall', 'wide'];
 
-    // Clear track and add rows
-    track.innerHTML = '';
-    track.appendChild(row1);
-    track.appendChild(row2);
+  // One row of items - the marquee engine adds the copies for the loop
+  const row = document.createElement('div');
+  row.className = 'testimonials__marquee-row';
+  row.dataset.generated = '';
+
+  // Wrap each image
+  images.forEach((img, index) => {
+    const sizeClass = sizePattern[index % sizePattern.length];
+
+    const wrapper = document.createElement('div');
+    wrapper.className = `testimonials__marquee-item${sizeClass ? ' testimonials__marquee-item--' + sizeClass : ''}`;
+    wrapper.appendChild(img.cloneNode(true));
+    row.appendChild(wrapper);
   });
+
+  // Clear track and add the row
+  track.innerHTML = '';
+  track.appendChild(row);
+
+  const engine = createMarquee(marquee, { track });
+
+  return () => {
+    if (engine) engine.destroy();
+    track.replaceChildren(...original);
+  };
+}
+
+// Swipes shorter than this (in pixels) are ignored
+const SWIPE_THRESHOLD = 50;
+
+// Numbers the carousels on the page, for the ids that tie tabs to slides
+let carouselCount = 0;
+
+// Fill a data-text-* label template from the block
+function label(block, name, values = {}) {
+  return (block.dataset[name] || '')
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
 }
 
 /**
- * Initialize testimonial pagination
+ * Carousel options from the block's data attributes
+ * - data-autoplay: milliseconds between slides, 0 (the default) for none
+ * - data-loop="true": wrap around at either end
  */
-export function initTestimonials() {
-  // Initialize marquee first
-  initTestimonialsMarquee();
-  const testimonialBlocks = document.querySelectorAll('.testimonials');
-
-  testimonialBlocks.forEach(block => {
-    const cards = block.querySelectorAll('.testimonials__card');
-    const dotsContainer = block.querySelector('.testimonials__dots');
-    const prevBtn = block.querySelector('.testimonials__nav--prev');
-    const nextBtn = block.querySelector('.testimonials__nav--next');
-
-    if (cards.length === 0) return;
-
-    let currentIndex = 0;
-    const totalCards = cards.length;
-
-    // Generate dots
-    if (dotsContainer) {
-      dotsContainer.innerHTML = '';
-      cards.forEach((_, index) => {
-        const dot = document.createElement('button');
-        dot.className = `testimonials__dot${index === 0 ? ' is-active' : ''}`;
-        dot.setAttribute('aria-label', `Go to testimonial ${index + 1}`);
-        dot.addEventListener('click', () => goToSlide(index));
-        dotsContainer.appendChild(dot);
-      });
-    }
+function carouselOptions(block) {
+  const autoplay = parseInt(block.dataset.autoplay, 10);
+
+  return {
+    autoplay: autoplay > 0 ? autoplay : 0,
+    loop: block.dataset.loop === 'true' || block.dataset.loop === ''
+  };
+}
+
+/**
+ * Testimonial carousel (testimonials--carousel)
+ * One card at a time, following the WAI-ARIA tabbed carousel pattern: the
+ * dots are tabs with a roving tabindex, the cards their tab panels, and
+ * inactive cards are hidden from assistive technology. The slide container
+ * is a polite live region whenever autoplay isn't rotating the slides.
+ */
+function initTestimonialCarousel(block) {
+  const slides = block.querySelector('.testimonials__grid');
+  const cards = Array.from(block.querySelectorAll('.testimonials__card'));
+  const controls = block.querySelector('.testimonials__controls');
+
+  if (!slides || !controls || cards.length < 2) return null;
+
+  const dotsContainer = controls.querySelector('.testimonials__dots');
+  const prevBtn = controls.querySelector('.testimonials__nav--prev');
+  const nextBtn = controls.querySelector('.testimonials__nav--next');
+  const pauseBtn = controls.querySelector('.testimonials__pause');
+  const pauseText = pauseBtn && pauseBtn.querySelector('.testimonials__pause-text');
+
+  const { autoplay, loop } = carouselOptions(block);
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const controller = new AbortController();
+  const { signal } = controller;
+  const idPrefix = block.id || `testimonials-${++carouselCount}`;
+  const servedDots = dotsContainer ? Array.from(dotsContainer.childNodes) : [];
+  const generatedIds = cards.filter(card => !card.id);
+
+  let currentIndex = 0;
+  let timer = null;
+  let pausedByUser = false;
+  let hovered = false;
+  let focused = false;
+
+  block.classList.add('is-carousel');
+  controls.hidden = false;
+
+  // Tabs and their panels
+  const tabs = cards.map((card, index) => {
+    if (!card.id) card.id = `${idPrefix}-slide-${index + 1}`;
+
+    const tab = document.createElement('button');
+    tab.type = 'button';
+    tab.className = 'testimonials__dot';
+    tab.dataset.generated = '';
+    tab.id = `${idPrefix}-tab-${index + 1}`;
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', card.id);
+    tab.setAttribute('aria-label', label(block, 'textSlide', { index: index + 1, count: cards.length }));
+    tab.addEventListener('click', () => {
+      goToSlide(index);
+      stopForInteraction();
+    }, { signal });
+
+    card.setAttribute('role', 'tabpanel');
+    card.setAttribute('aria-labelledby', tab.id);
+    return tab;
+  });
+
+  if (dotsContainer) dotsContainer.replaceChildren(...tabs);
+
+  // Index of the slide `step` slides away, or the current one at an end without loop
+  function indexFrom(step) {
+    const index = currentIndex + step;
+    if (loop) return (index + cards.length) % cards.length;
+    return Math.min(Math.max(index, 0), cards.length - 1);
+  }
 
-    const dots = block.querySelectorAll('.testimonials__dot');
+  function goToSlide(index, { focusTab = false } = {}) {
+    currentIndex = index;
 
-    // Set initial state
-    cards.forEach((card, index) => {
-      if (index === 0) {
-        card.classList.add('is-active');
+    cards.forEach((card, i) => {
+      const active = i === currentIndex;
+      card.classList.toggle('is-active', active);
+      card.inert = !active;
+
+      if (active) {
+        card.removeAttribute('aria-hidden');
+      } else {
+        card.setAttribute('aria-hidden', 'true');
       }
     });
 
-    function updateButtons() {
-      if (prevBtn) {
-        prevBtn.disabled = currentIndex === 0;
-      }
-      if (nextBtn) {
-        nextBtn.disabled = currentIndex === totalCards - 1;
-      }
-    }
+    // Roving tabindex: only the selected tab is in the tab order
+    tabs.forEach((tab, i) => {
+      const selected = i === currentIndex;
+      tab.classList.toggle('is-active', selected);
+      tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+      tab.tabIndex = selected ? 0 : -1;
+    });
 
-    function goToSlide(index) {
-      if (index === currentIndex || index < 0 || index >= totalCards) return;
+    if (focusTab) tabs[currentIndex].focus();
 
-      const prevIndex = currentIndex;
-      currentIndex = index;
+    if (prevBtn) prevBtn.disabled = !loop && currentIndex === 0;
+    if (nextBtn) nextBtn.disabled = !loop && currentIndex === cards.length - 1;
+  }
 
-      // Update cards
-      cards.forEach((card, i) => {
-        card.classList.remove('is-active', 'is-prev');
+  // Autoplay runs unless paused by the user, hovered, focused or reduced motion
+  function isRotating() {
+    return autoplay > 0 && !pausedByUser && !hovered && !focused && !reducedMotion.matches;
+  }
 
-        if (i === currentIndex) {
-          card.classList.add('is-active');
-        } else if (i === prevIndex) {
-          card.classList.add('is-prev');
-        }
-      });
+  function updateAutoplay() {
+    clearTimeout(timer);
+    timer = null;
 
-      // Update dots
-      dots.forEach((dot, i) => {
-        dot.classList.toggle('is-active', i === currentIndex);
-      });
+    const rotating = isRotating();
 
-      updateButtons();
-    }
+    // Announce slide changes only when the user is the one making them
+    slides.setAttribute('aria-live', rotating ? 'off' : 'polite');
 
-    function nextSlide() {
-      if (currentIndex < totalCards - 1) {
-        goToSlide(currentIndex + 1);
-      }
+    if (pauseBtn) {
+      pauseBtn.hidden = autoplay === 0 || reducedMotion.matches;
+      pauseBtn.classList.toggle('is-paused', pausedByUser);
+      if (pauseText) pauseText.textContent = label(block, pausedByUser ? 'textPlay' : 'textPause');
     }
 
-    function prevSlide() {
-      if (currentIndex > 0) {
-        goToSlide(currentIndex - 1);
-      }
-    }
+    if (rotating) timer = setTimeout(advance, autoplay);
+  }
 
-    // Event listeners
-    if (prevBtn) {
-      prevBtn.addEventListener('click', prevSlide);
-    }
+  function advance() {
+    const next = indexFrom(1);
 
-    if (nextBtn) {
-      nextBtn.addEventListener('click', nextSlide);
+    // Without loop, autoplay stops at the last testimonial
+    if (next === currentIndex) {
+      pausedByUser = true;
+    } else {
+      goToSlide(next);
     }
 
-    // Keyboard navigation
-    block.addEventListener('keydown', (e) => {
-      if (e.key === 'ArrowLeft') {
-        prevSlide();
-      } else if (e.key === 'ArrowRight') {
-        nextSlide();
-      }
-    });
+    updateAutoplay();
+  }
 
-    // Optional: Auto-advance (uncomment if desired)
-    // const autoplayInterval = 8000;
-    // let autoplayTimer = setInterval(nextSlide, autoplayInterval);
-    //
-    // block.addEventListener('mouseenter', () => {
-    //   clearInterval(autoplayTimer);
-    // });
-    //
-    // block.addEventListener('mouseleave', () => {
-    //   autoplayTimer = setInterval(nextSlide, autoplayInterval);
-    // });
-
-    // Touch/swipe support
-    let touchStartX = 0;
-    let touchEndX = 0;
-
-    block.addEventListener('touchstart', (e) => {
-      touchStartX = e.changedTouches[0].screenX;
-    }, { passive: true });
-
-    block.addEventListener('touchend', (e) => {
-      touchEndX = e.changedTouches[0].screenX;
-      handleSwipe();
-    }, { passive: true });
-
-    function handleSwipe() {
-      const swipeThreshold = 50;
-      const diff = touchStartX - touchEndX;
-
-      if (Math.abs(diff) > swipeThreshold) {
-        if (diff > 0) {
-          nextSlide();
-        } else {
-          prevSlide();
-        }
-      }
+  // Choosing a slide stops the rotation, as the user is now reading
+  function stopForInteraction() {
+    if (autoplay > 0 && !pausedByUser) {
+      pausedByUser = true;
+      updateAutoplay();
     }
+  }
+
+  if (prevBtn) {
+    prevBtn.addEventListener('click', () => {
+      goToSlide(indexFrom(-1));
+      stopForInteraction();
+    }, { signal });
+  }
+
+  if (nextBtn) {
+    nextBtn.addEventListener('click', () => {
+      goToSlide(indexFrom(1));
+      stopForInteraction();
+    }, { signal });
+  }
+
+  if (pauseBtn) {
+    pauseBtn.addEventListener('click', () => {
+      pausedByUser = !pausedByUser;
+
+      // Playing again from the last testimonial starts over
+      if (!pausedByUser && !loop && currentIndex === cards.length - 1) goToSlide(0);
+
+      updateAutoplay();
+    }, { signal });
+  }
+
+  // Arrow keys, Home and End move between tabs, always wrapping like a tablist
+  if (dotsContainer) {
+    dotsContainer.addEventListener('keydown', (e) => {
+      const keys = {
+        ArrowLeft: (currentIndex - 1 + cards.length) % cards.length,
+        ArrowRight: (currentIndex + 1) % cards.length,
+        Home: 0,
+        End: cards.length - 1
+      };
+
+      if (!(e.key in keys)) return;
+
+      e.preventDefault();
+      goToSlide(keys[e.key], { focusTab: true });
+      stopForInteraction();
+    }, { signal });
+  }
+
+  // Pause while the pointer or focus is inside the block
+  block.addEventListener('mouseenter', () => {
+    hovered = true;
+    updateAutoplay();
+  }, { signal });
+
+  block.addEventListener('mouseleave', () => {
+    hovered = false;
+    updateAutoplay();
+  }, { signal });
+
+  // The pause button itself doesn't count, so "play" takes effect right away
+  block.addEventListener('focusin', (e) => {
+    focused = e.target !== pauseBtn;
+    updateAutoplay();
+  }, { signal });
+
+  block.addEventListener('focusout', (e) => {
+    if (block.contains(e.relatedTarget)) return;
+    focused = false;
+    updateAutoplay();
+  }, { signal });
+
+  reducedMotion.addEventListener('change', updateAutoplay, { signal });
+
+  // Touch/swipe support
+  let touchStartX = 0;
+
+  slides.addEventListener('touchstart', (e) => {
+    touchStartX = e.changedTouches[0].screenX;
+  }, { passive: true, signal });
+
+  slides.addEventListener('touchend', (e) => {
+    const diff = touchStartX - e.changedTouches[0].screenX;
+    if (Math.abs(diff) <= SWIPE_THRESHOLD) return;
+
+    goToSlide(indexFrom(diff > 0 ? 1 : -1));
+    stopForInteraction();
+  }, { passive: true, signal });
+
+  // Initial state
+  goToSlide(0);
+  updateAutoplay();
+
+  return () => {
+    controller.abort();
+    clearTimeout(timer);
+
+    block.classList.remove('is-carousel');
+    slides.removeAttribute('aria-live');
+    controls.hidden = true;
+    if (pauseBtn) pauseBtn.hidden = true;
+    if (dotsContainer) dotsContainer.replaceChildren(...servedDots);
+
+    cards.forEach(card => {
+      card.classList.remove('is-active');
+      card.inert = false;
+      ['role', 'aria-labelledby', 'aria-hidden'].forEach(name => card.removeAttribute(name));
+    });
+    generatedIds.forEach(card => card.removeAttribute('id'));
 
-    // Initial button state
-    updateButtons();
-  });
+    [prevBtn, nextBtn].filter(Boolean).forEach(button => {
+      button.disabled = false;
+    });
+  };
 }
+
+const testimonials = combineLifecycles(
+  createLifecycle('[data-testimonials-marquee]', initTestimonialsMarquee),
+  createLifecycle('.testimonials--carousel', initTestimonialCarousel)
+);
+
+/**
+ * Initialize the testimonial blocks inside root
+ * @param {ParentNode} root - Document or inserted block
+ */
+export const init = testimonials.init;
+
+/**
+ * Tear down the testimonial blocks inside root
+ * @param {ParentNode} root - Document or removed block
+ */
+export const destroy = testimonials.destroy;
+
+export { init as initTestimonials };
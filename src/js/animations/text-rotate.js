@@ -0,0 +1,92 @@
+/**
+ * Text Rotation Animation
+ *
+ * Cycles through words with a typewriter effect: deletes the current word,
+ * types the next one, pauses, and repeats.
+ *
+ * Usage:
+ * <span class="text-rotate" data-rotate-words="Butterflies,Beetles,Spiders">Butterflies</span>
+ * data-rotate-words takes a comma-separated list or a JSON array.
+ *
+ * init(root) and destroy(root) work on one block at a time (see
+ * lifecycle.js); destroy() stops the cycle and restores the served text.
+ */
+
+import { createLifecycle } from '../lifecycle.js';
+
+const typeSpeed = 80;
+const deleteSpeed = 50;
+const pauseBetweenWords = 4000;
+
+const rotators = createLifecycle('.text-rotate', el => {
+  const wordsAttr = el.dataset.rotateWords || el.dataset.rotate;
+  if (!wordsAttr) return null;
+
+  // Support both comma-separated and JSON formats
+  const words = wordsAttr.startsWith('[')
+    ? JSON.parse(wordsAttr)
+    : wordsAttr.split(',').map(w => w.trim());
+  if (words.length === 0) return null;
+
+  const servedText = el.textContent;
+  let currentIndex = 0;
+  let currentText = servedText;
+  let timer;
+
+  // Typewriter effect: delete then type
+  function deleteText(callback) {
+    if (currentText.length > 0) {
+      currentText = currentText.slice(0, -1);
+      el.textContent = currentText;
+      timer = setTimeout(() => deleteText(callback), deleteSpeed);
+    } else {
+      callback();
+    }
+  }
+
+  function typeText(word, callback) {
+    let charIndex = 0;
+    function typeChar() {
+      if (charIndex < word.length) {
+        currentText = word.slice(0, charIndex + 1);
+        el.textContent = currentText;
+        charIndex++;
+        timer = setTimeout(typeChar, typeSpeed);
+      } else {
+        callback();
+      }
+    }
+    typeChar();
+  }
+
+  function cycleWords() {
+    timer = setTimeout(() => {
+      deleteText(() => {
+        currentIndex = (currentIndex + 1) % words.length;
+        typeText(words[currentIndex], cycleWords);
+      });
+    }, pauseBetweenWords);
+  }
+
+  // Start the cycle
+  cycleWords();
+
+  return () => {
+    clearTimeout(timer);
+    el.textContent = servedText;
+  };
+});
+
+/**
+ * Start the text rotations inside root
+ * @param {ParentNode} root - Document or inserted block
+ */
+export const init = rotators.init;
+
+/**
+ * Stop the text rotations inside root
+ * @param {ParentNode} root - Document or removed block
+ */
+export const destroy = rotators.destroy;
+
+export { init as initTextRotate };
@@ -0,0 +1,46 @@
+/**
+ * Header Scroll Effect
+ *
+ * Toggles the header between full-width white and container-width glass
+ * once the page has scrolled past a threshold (.is-scrolled).
+ *
+ * init(root) and destroy(root) work on one block at a time (see
+ * lifecycle.js); destroy() removes the scroll listener and the class.
+ */
+
+import { createLifecycle } from './lifecycle.js';
+
+const threshold = 50;
+
+const headers = createLifecycle('.site-header', header => {
+  function onScroll() {
+    if (window.scrollY > threshold) {
+      header.classList.add('is-scrolled');
+    } else {
+      header.classList.remove('is-scrolled');
+    }
+  }
+
+  const controller = new AbortController();
+  window.addEventListener('scroll', onScroll, { passive: true, signal: controller.signal });
+  onScroll(); // Check initial state
+
+  return () => {
+    controller.abort();
+    header.classList.remove('is-scrolled');
+  };
+});
+
+/**
+ * Start the header scroll effect inside root
+ * @param {ParentNode} root - Document or inserted block
+ */
+export const init = headers.init;
+
+/**
+ * Stop the header scroll effect inside root
+ * @param {ParentNode} root - Document or removed block
+ */
+export const destroy = headers.destroy;
+
+export { init as initHeaderScroll };
@@ -0,0 +1,101 @@
+/**
+ * Hot Patch (dev server only)
+ *
+ * When a page or a partial changes, the dev server sends "posthtml:update"
+ * with the URLs of the pages rendered from that file (see vite.config.js).
+ * On one of those pages, this fetches the new markup, compares it with the
+ * markup the page was served with, and swaps in only the elements that
+ * changed - the scroll position and the GSAP state of everything else
+ * survive. Changes it can't place (anything in <head>, or markup a script
+ * has rearranged) fall back to a full reload.
+ */
+
+/**
+ * Listen for page updates from the dev server
+ * @param {Object} hot - import.meta.hot of the entry module
+ * @param {Document|Element} served - Copy of the page as served, taken before any module changed it
+ * @param {Object} options - onPatch(elements) is called with the swapped-in elements
+ */
+export function initHotPatch(hot, served, { onPatch = () => {} } = {}) {
+  let current = served;
+
+  hot.on('posthtml:update', async ({ file, urls }) => {
+    if (!urls.includes(location.pathname)) return;
+
+    let next;
+    try {
+      const response = await fetch(location.href, { headers: { Accept: 'text/html' } });
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      next = new DOMParser().parseFromString(await response.text(), 'text/html').documentElement;
+    } catch (error) {
+      console.warn(`[hot-patch] Could not fetch the updated page, reloading:`, error);
+      location.reload();
+      return;
+    }
+
+    const before = current.querySelector('head');
+    if (!before.isEqualNode(next.querySelector('head'))) {
+      location.reload();
+      return;
+    }
+
+    const changes = diff(current.querySelector('body'), next.querySelector('body'));
+    const targets = changes.map(change => elementAt(document.body, change.path));
+
+    // The body itself changed, or a script has moved things around
+    const placeable = changes.every((change, i) => change.path.length > 0
+      && targets[i]
+      && targets[i].tagName === change.before.tagName);
+
+    if (!placeable) {
+      location.reload();
+      return;
+    }
+
+    const patched = changes.map((change, i) => {
+      const element = document.importNode(change.after, true);
+      targets[i].replaceWith(element);
+      return element;
+    });
+
+    current = next;
+
+    if (patched.length > 0) {
+      console.log(`[hot-patch] ${file}: updated ${patched.length} element(s)`);
+      onPatch(patched);
+    }
+  });
+}
+
+/**
+ * The smallest elements that differ between two versions of a tree
+ * Each change has the element's path (child element indexes from the root)
+ */
+function diff(before, after, path = [], changes = []) {
+  if (before.isEqualNode(after)) return changes;
+
+  if (!sameShell(before, after)) {
+    changes.push({ path, before, after });
+    return changes;
+  }
+
+  const afterChildren = after.children;
+  Array.from(before.children).forEach((child, i) => diff(child, afterChildren[i], [...path, i], changes));
+  return changes;
+}
+
+// Same tag, attributes, text and child elements - only inside the children may differ
+function sameShell(a, b) {
+  if (a.tagName !== b.tagName || a.attributes.length !== b.attributes.length) return false;
+  if (Array.from(a.attributes).some(attr => b.getAttribute(attr.name) !== attr.value)) return false;
+
+  const shape = element => Array.from(element.childNodes)
+    .map(node => (node.nodeType === Node.ELEMENT_NODE ? `<${node.tagName}>` : node.nodeValue))
+    .join('');
+
+  return shape(a) === shape(b);
+}
+
+function elementAt(root, path) {
+  return path.reduce((element, index) => (element ? element.children[index] : null), root);
+}
@@ -0,0 +1,87 @@
+/**
+ * Module Lifecycle
+ *
+ * Every module exposes init(root) and destroy(root). Both only touch the
+ * elements inside root (root included) and are safe to call repeatedly:
+ * init() skips elements it has already set up, and destroy() undoes the
+ * setup so a later init() starts over. init() returns how many elements it
+ * set up. main.js calls them for blocks inserted into or removed from the
+ * page.
+ *
+ * Elements a module creates itself (copies, results, generated controls)
+ * carry data-generated; main.js leaves them to that module.
+ *
+ * Usage:
+ * const carousels = createLifecycle('[data-marquee]', marquee => {
+ *   const controller = new AbortController();
+ *   marquee.addEventListener('click', onClick, { signal: controller.signal });
+ *
+ *   // Undo everything the setup did
+ *   return () => controller.abort();
+ * });
+ *
+ * export const init = carousels.init;
+ * export const destroy = carousels.destroy;
+ */
+
+/**
+ * Set up every element matching a selector once, with a way to undo it
+ * @param {string} selector - Elements the setup applies to
+ * @param {Function} setup - Called with each element, returns a cleanup function. Returning
+ *   nothing means there was nothing to set up yet - the next init() tries again
+ * @returns {{init: Function, destroy: Function}} init() returns the number of elements set up
+ */
+export function createLifecycle(selector, setup) {
+  // Set-up elements and their cleanup functions
+  const active = new Map();
+
+  return {
+    init(root = document) {
+      let count = 0;
+
+      elementsIn(root, selector).forEach(element => {
+        if (active.has(element)) return;
+
+        const cleanup = setup(element);
+        if (cleanup) {
+          active.set(element, cleanup);
+          count++;
+        }
+      });
+
+      return count;
+    },
+
+    destroy(root = document) {
+      active.forEach((cleanup, element) => {
+        if (root !== element && !root.contains(element)) return;
+
+        active.delete(element);
+        cleanup();
+      });
+    }
+  };
+}
+
+/**
+ * One init/destroy pair for several lifecycles - destroyed in reverse order
+ */
+export function combineLifecycles(...lifecycles) {
+  return {
+    init(root = document) {
+      return lifecycles.reduce((count, lifecycle) => count + lifecycle.init(root), 0);
+    },
+
+    destroy(root = document) {
+      [...lifecycles].reverse().forEach(lifecycle => lifecycle.destroy(root));
+    }
+  };
+}
+
+/**
+ * Elements matching a selector inside root, root included
+ */
+export function elementsIn(root, selector) {
+  const found = Array.from(root.querySelectorAll(selector));
+  return root.nodeType === Node.ELEMENT_NODE && root.matches(selector) ? [root, ...found] : found;
+}
@@ -1,138 +1,228 @@
 /**
  * Main JavaScript Entry Point
  *
- * This file initializes all JavaScript modules for the site.
- * WordPress Note: This can be split into smaller bundles for conditional loading.
+ * Initializes the site's JavaScript. Modules are loaded on demand: each entry
+ * in the registry below names the elements a module works on, and only the
+ * modules whose elements are on the page get imported. Rollup builds every
+ * dynamically imported module as its own chunk, so GSAP and ScrollTrigger
+ * aren't downloaded on pages that don't animate anything.
+ *
+ * Every module exports init(root) and destroy(root) (see lifecycle.js).
+ * After the first run a MutationObserver initializes inserted elements and
+ * tears down removed ones, so content added later needs no extra calls.
+ * Elements the modules create themselves (data-generated) are left to them.
+ * WordPress Note: The same chunks can be enqueued per block - see each
+ * block's "Scripts" note for the module it needs.
  */
 
-import { initScrollAnimations, refreshScrollTrigger } from './animations/scroll-animations.js';
-import { initInteractiveAnimations, initParallax, initCounters, initScrollRotate, initScrollTranslateX, initScrollTranslateY } from './animations/interactive.js';
-import { initCarousels } from './animations/carousel.js';
-import { initTestimonials } from './animations/testimonials.js';
+import * as header from './header.js';
 
 /**
- * Text Rotation Animation
- * Cycles through words with a fade effect
+ * Module registry
+ * - selector: the module loads when something on the page matches it
+ * - load: dynamic import of the module, which exports init(root) and destroy(root)
+ * - scrollTrigger: the module registers ScrollTrigger (see refreshScrollTrigger)
  */
-function initTextRotate() {
-  const elements = document.querySelectorAll('.text-rotate');
-
-  elements.forEach(el => {
-    const wordsAttr = el.dataset.rotateWords || el.dataset.rotate;
-    if (!wordsAttr) return;
-
-    // Support both comma-separated and JSON formats
-    const words = wordsAttr.startsWith('[')
-      ? JSON.parse(wordsAttr)
-      : wordsAttr.split(',').map(w => w.trim());
-    if (words.length === 0) return;
-
-    let currentIndex = 0;
-    let currentText = el.textContent;
-    const typeSpeed = 80;
-    const deleteSpeed = 50;
-    const pauseBetweenWords = 4000;
-
-    // Typewriter effect: delete then type
-    function deleteText(callback) {
-      if (currentText.length > 0) {
-        currentText = currentText.slice(0, -1);
-        el.textContent = currentText;
-        setTimeout(() => deleteText(callback), deleteSpeed);
-      } else {
-        callback();
-      }
-    }
-
-    function typeText(word, callback) {
-      let charIndex = 0;
-      function typeChar() {
-        if (charIndex < word.length) {
-          currentText = word.slice(0, charIndex + 1);
-          el.textContent = currentText;
-          charIndex++;
-          setTimeout(typeChar, typeSpeed);
-        } else {
-          callback();
-        }
+const modules = [
+  {
+    // Header scroll effect - on every page, so it's part of main.js
+    selector: '.site-header',
+    load: async () => header
+  },
+  {
+    // Typewriter word rotation
+    selector: '.text-rotate',
+    load: () => import('./animations/text-rotate.js')
+  },
+  {
+    // Testimonials carousel and image marquee - before the scroll
+    // animations, which fade in the marquee rows it builds
+    selector: '.testimonials--carousel, [data-testimonials-marquee]',
+    load: () => import('./animations/testimonials.js')
+  },
+  {
+    // Scroll-based animations
+    selector: '[data-animate], [data-animate-stagger], [data-animate-image-fade], .card-icons__butterfly, [data-animate-marquee-stagger]',
+    load: () => import('./animations/scroll-animations.js'),
+    scrollTrigger: true
+  },
+  {
+    // Button, card and mobile menu interactions
+    selector: '.btn, .card, .site-header__toggle',
+    load: () => import('./animations/interactive.js')
+  },
+  {
+    // Parallax, scroll-driven rotation and translation, statistic counters
+    selector: '.hero__background-image, [data-scroll-rotate], [data-scroll-translate-x], [data-scroll-translate-y], [data-counter]',
+    load: () => import('./animations/scroll-effects.js'),
+    scrollTrigger: true
+  },
+  {
+    // Card carousels
+    selector: '[data-marquee]',
+    load: () => import('./animations/carousel.js')
+  },
+  {
+    // Search overlay
+    selector: '.search',
+    load: () => import('./search.js')
+  }
+];
+
+// Imports in progress or done, and the modules they resolved to, by registry entry
+const imports = new Map();
+const loaded = new Map();
+
+// Whether a loaded module uses ScrollTrigger
+let usesScrollTrigger = false;
+
+// Elements a module created, e.g. search results or marquee copies
+const GENERATED = '[data-generated]';
+
+// Import a registered module once - a failed import is tried again next time
+function load(entry) {
+  if (!imports.has(entry)) {
+    imports.set(entry, entry.load().then(
+      module => {
+        loaded.set(entry, module);
+        return module;
+      },
+      error => {
+        imports.delete(entry);
+        throw error;
       }
-      typeChar();
-    }
+    ));
+  }
 
-    function cycleWords() {
-      setTimeout(() => {
-        deleteText(() => {
-          currentIndex = (currentIndex + 1) % words.length;
-          typeText(words[currentIndex], cycleWords);
-        });
-      }, pauseBetweenWords);
-    }
+  return imports.get(entry);
+}
 
-    // Start the cycle
-    cycleWords();
-  });
+// Whether root is, or contains, an element matching selector
+function contains(root, selector) {
+  return (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) || Boolean(root.querySelector(selector));
 }
 
 /**
- * Header scroll effect
- * Toggles between full-width white and container-width glass on scroll
+ * Load and initialize the registered modules root needs
+ * Imports run in parallel; modules initialize in registry order. Modules
+ * skip elements they've already set up, so this is safe to call again
+ * @param {ParentNode} root - Document or inserted element
+ * @returns {Promise<number>} How many elements the modules set up
  */
-function initHeaderScroll() {
-  const header = document.querySelector('.site-header');
-  if (!header) return;
+export async function initModules(root = document) {
+  const needed = modules.filter(entry => contains(root, entry.selector));
+  if (needed.some(entry => entry.scrollTrigger)) usesScrollTrigger = true;
 
-  const threshold = 50;
+  const results = await Promise.allSettled(needed.map(load));
 
-  function onScroll() {
-    if (window.scrollY > threshold) {
-      header.classList.add('is-scrolled');
-    } else {
-      header.classList.remove('is-scrolled');
+  // Removed again while its modules were loading
+  if (root !== document && !root.isConnected) return 0;
+
+  return results.reduce((count, result, i) => {
+    if (result.status === 'rejected') {
+      console.warn(`[main] Could not load the module for "${needed[i].selector}":`, result.reason);
+      return count;
     }
-  }
 
-  window.addEventListener('scroll', onScroll, { passive: true });
-  onScroll(); // Check initial state
+    return count + result.value.init(root);
+  }, 0);
 }
 
 /**
- * Initialize all modules when DOM is ready
+ * Tear down the modules inside root, in reverse registry order
+ * Only modules that have loaded can have set anything up
+ * @param {ParentNode} root - Document or removed element
  */
-function init() {
-  // Initialize scroll-based animations
-  initScrollAnimations();
-
-  // Initialize interactive animations
-  initInteractiveAnimations();
+export function destroyModules(root = document) {
+  modules
+    .filter(entry => loaded.has(entry))
+    .reverse()
+    .forEach(entry => loaded.get(entry).destroy(root));
+}
 
-  // Initialize parallax effects (optional - comment out if not needed)
-  initParallax();
+/**
+ * Initialize elements inserted into root and tear down removed ones,
+ * e.g. AJAX-loaded event lists or blocks in the WordPress editor preview
+ * @param {Element} root - Subtree to watch
+ * @returns {MutationObserver}
+ */
+export function observeModules(root = document.body) {
+  const observer = new MutationObserver(records => {
+    const added = [];
+
+    records.forEach(record => {
+      // Changes inside generated elements are their module's own
+      if (record.target.closest(GENERATED)) return;
+
+      // Elements that were moved rather than removed stay set up
+      record.removedNodes.forEach(node => {
+        if (isObserved(node) && !node.isConnected) destroyModules(node);
+      });
+
+      record.addedNodes.forEach(node => {
+        if (isObserved(node) && node.isConnected) added.push(node);
+      });
+    });
+
+    if (added.length === 0) return;
+
+    // New content moves everything below it - once it's animated
+    Promise.all(added.map(node => initModules(node))).then(counts => {
+      if (counts.some(count => count > 0)) scheduleRefresh();
+    });
+  });
 
-  // Initialize counters if any exist
-  initCounters();
+  observer.observe(root, { childList: true, subtree: true });
+  return observer;
+}
 
-  // Initialize scroll-driven rotations
-  initScrollRotate();
+// Elements the observer sets up and tears down - not the ones modules generate
+function isObserved(node) {
+  return node.nodeType === Node.ELEMENT_NODE && !node.matches(GENERATED);
+}
 
-  // Initialize scroll-driven translations
-  initScrollTranslateX();
-  initScrollTranslateY();
+/**
+ * Refresh ScrollTrigger after dynamic content loads
+ * Does nothing on pages that haven't loaded ScrollTrigger
+ */
+async function refreshScrollTrigger() {
+  if (!usesScrollTrigger) return;
 
-  // Initialize text rotation
-  initTextRotate();
+  const { ScrollTrigger } = await import('gsap/ScrollTrigger');
+  ScrollTrigger.refresh();
+}
 
-  // Initialize header scroll effect
-  initHeaderScroll();
+// Refresh once a burst of insertions or resize events is over
+let refreshTimeout;
+function scheduleRefresh() {
+  clearTimeout(refreshTimeout);
+  refreshTimeout = setTimeout(refreshScrollTrigger, 250);
+}
 
-  // Initialize carousels
-  initCarousels();
+/**
+ * Initialize all modules when DOM is ready
+ */
+async function init() {
+  // Load the modules this page uses
+  await initModules();
 
-  // Initialize testimonials pagination
-  initTestimonials();
+  // Set up blocks inserted later
+  observeModules();
 
   console.log('🦋 Butterfly Pavilion initialized');
 }
 
+// Dev server: patch the page in place when a partial it includes changes.
+// The copy is taken before any module changes the page; the module
+// observer sets up the patched elements
+if (import.meta.hot) {
+  const served = document.documentElement.cloneNode(true);
+
+  import('./hot-patch.js').then(({ initHotPatch }) => {
+    initHotPatch(import.meta.hot, served);
+  });
+}
+
 // Wait for DOM to be ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
@@ -141,13 +231,7 @@ if (document.readyState === 'loading') {
 }
 
 // Re-initialize on window resize (for responsive changes)
-let resizeTimeout;
-window.addEventListener('resize', () => {
-  clearTimeout(resizeTimeout);
-  resizeTimeout = setTimeout(() => {
-    refreshScrollTrigger();
-  }, 250);
-});
+window.addEventListener('resize', scheduleRefresh);
 
 // Export for use in other modules if needed
 export { refreshScrollTrigger };
@@ -0,0 +1,94 @@
+/**
+ * Component Playground
+ *
+ * Form behaviour for the dev server's /__playground/ page (see playground.js
+ * in the project root): reloads the preview as the yields are edited, keeps
+ * the address bar shareable and shows the <include> to paste into a page.
+ * Dev only - no page of the site loads this.
+ */
+
+const RELOAD_DELAY = 300;
+
+function initPlayground() {
+  const form = document.querySelector('[data-playground-form]');
+  if (!form) return;
+
+  const frame = document.querySelector('[data-playground-frame]');
+  const code = form.querySelector('[data-playground-code]');
+  const fields = Array.from(form.querySelectorAll('[data-default]'));
+  let reloadTimeout;
+
+  // Component and the yields that differ from the template defaults
+  function query() {
+    const params = new URLSearchParams({ component: form.elements.component.value });
+    fields
+      .filter(field => field.value !== field.dataset.default)
+      .forEach(field => params.append(field.name, field.value));
+    return params.toString();
+  }
+
+  function renderCode() {
+    const yields = fields
+      .filter(field => field.value !== field.dataset.default)
+      .map(field => {
+        const name = field.name.replace(/^yield\./, '');
+        const value = field.value.includes('\n')
+          ? `\n    ${field.value.split('\n').join('\n    ')}\n  `
+          : field.value;
+        return `\n  <yield name="${name}">${value}</yield>`;
+      })
+      .join('');
+
+    code.textContent = `<include src="${form.dataset.src}">${yields}${yields ? '\n' : ''}</include>`;
+  }
+
+  function update() {
+    const params = query();
+    history.replaceState(null, '', `?${params}`);
+    renderCode();
+
+    clearTimeout(reloadTimeout);
+    reloadTimeout = setTimeout(() => {
+      // replace() keeps the frame's reloads out of the browser history
+      frame.contentWindow.location.replace(`preview?${params}`);
+    }, RELOAD_DELAY);
+  }
+
+  function fill(values) {
+    fields.forEach(field => {
+      const name = field.name.replace(/^yield\./, '');
+      field.value = name in values ? values[name] : field.dataset.default;
+    });
+    update();
+  }
+
+  form.addEventListener('input', update);
+  form.addEventListener('submit', event => event.preventDefault());
+
+  form.querySelectorAll('[data-playground-example]').forEach(button => {
+    button.addEventListener('click', () => fill(JSON.parse(button.dataset.playgroundExample)));
+  });
+
+  form.querySelector('[data-playground-defaults]').addEventListener('click', () => fill({}));
+
+  const share = form.querySelector('[data-playground-share]');
+  share.addEventListener('click', async () => {
+    const label = share.textContent;
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      share.textContent = 'Link copied';
+    } catch (error) {
+      console.warn('[playground] Could not copy the link:', error);
+      share.textContent = 'Copy failed - use the address bar';
+    }
+    setTimeout(() => { share.textContent = label; }, 2000);
+  });
+
+  renderCode();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initPlayground);
+} else {
+  initPlayground();
+}
@@ -0,0 +1,329 @@
+/**
+ * Site Search
+ *
+ * Opens the search overlay (layouts/search.html) and queries the
+ * search-index.json the build writes from every page. Works offline once
+ * the index is loaded - there's no search service.
+ * WordPress Note: The overlay can query the REST search endpoint instead.
+ */
+
+import { createLifecycle } from './lifecycle.js';
+
+const MAX_RESULTS = 8;
+const SNIPPET_LENGTH = 160;
+
+// How much a match in each field counts towards a page's score
+const FIELD_WEIGHTS = {
+  title: 10,
+  headings: 5,
+  keywords: 4,
+  description: 3,
+  text: 1
+};
+
+/**
+ * Lowercase and strip accents, so "exhibicion" finds "Exhibición"
+ * Each character folds to exactly one character, keeping offsets aligned
+ */
+function fold(text) {
+  return Array.from(text, char => {
+    const folded = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    return folded.length === 1 ? folded : char;
+  }).join('');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap every occurrence of the query terms in <mark>
+ * Returns escaped HTML
+ */
+function highlight(text, terms) {
+  const folded = fold(text);
+  const ranges = [];
+
+  terms.forEach(term => {
+    let index = folded.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = folded.indexOf(term, index + term.length);
+    }
+  });
+
+  // Merge overlapping matches, in order
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  });
+
+  let html = '';
+  let position = 0;
+  merged.forEach(([start, end]) => {
+    html += escapeHtml(text.slice(position, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  });
+
+  return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * A window of the page text around the first match, on word boundaries
+ */
+function snippet(entry, terms) {
+  const text = entry.text || entry.description || '';
+  const folded = fold(text);
+  const first = Math.min(...terms.map(term => folded.indexOf(term)).filter(index => index !== -1));
+
+  // No match in the body text: lead with the description
+  if (!Number.isFinite(first)) {
+    const lead = entry.description || text;
+    return lead.length > SNIPPET_LENGTH ? `${lead.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '')}…` : lead;
+  }
+
+  let start = Math.max(0, first - SNIPPET_LENGTH / 3);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > first ? text.lastIndexOf(' ', end) : end;
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Score every entry against the query terms
+ * All terms have to match somewhere; matches at the start of a word count double
+ */
+function search(entries, terms) {
+  return entries
+    .map(entry => {
+      let score = 0;
+
+      const matchesAll = terms.every(term => {
+        let found = false;
+
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+          const value = entry.folded[field];
+          const index = value.indexOf(term);
+          if (index === -1) return;
+
+          found = true;
+          const wordStart = index === 0 || /[\s\-–—/(“"']/.test(value[index - 1]);
+          score += weight * (wordStart ? 2 : 1);
+        });
+
+        return found;
+      });
+
+      return { entry, score: matchesAll ? score : 0 };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS)
+    .map(result => result.entry);
+}
+
+/**
+ * Set up a search overlay
+ */
+function initSearchDialog(dialog) {
+  if (typeof dialog.showModal !== 'function') return null;
+
+  const form = dialog.querySelector('.search__form');
+  const input = dialog.querySelector('.search__input');
+  const status = dialog.querySelector('.search__status');
+  const list = dialog.querySelector('.search__results');
+  const openers = document.querySelectorAll('[data-search-open]');
+  const lang = document.documentElement.lang;
+
+  let index = null;
+  let results = [];
+  let active = -1;
+  let opener = null;
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  // Fill a data-text-* message template
+  const message = (name, values = {}) => (dialog.dataset[name] || '')
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+  // Fetch the index the first time the overlay opens
+  function loadIndex() {
+    if (!index) {
+      index = fetch(dialog.dataset.src)
+        .then(response => {
+          if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+          return response.json();
+        })
+        .then(entries => entries
+          .filter(entry => !lang || entry.lang === lang)
+          .map(entry => ({
+            ...entry,
+            folded: {
+              title: fold(entry.title),
+              headings: fold(entry.headings.join(' \n ')),
+              keywords: fold(entry.keywords.join(' \n ')),
+              description: fold(entry.description),
+              text: fold(entry.text)
+            }
+          })))
+        .catch(error => {
+          index = null;
+          throw error;
+        });
+    }
+
+    return index;
+  }
+
+  function setActive(next) {
+    const options = list.querySelectorAll('[role="option"]');
+    if (options.length === 0) {
+      active = -1;
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    active = (next + options.length) % options.length;
+    options.forEach((option, i) => option.setAttribute('aria-selected', i === active ? 'true' : 'false'));
+    input.setAttribute('aria-activedescendant', options[active].id);
+    options[active].scrollIntoView({ block: 'nearest' });
+  }
+
+  function render(query) {
+    const terms = [...new Set(fold(query).split(/\s+/).filter(Boolean))];
+
+    list.innerHTML = results.map((entry, i) => `
+      <li role="option" id="site-search-result-${i}" aria-selected="false" data-generated>
+        <a class="search__result" href="${escapeHtml(entry.url)}" tabindex="-1">
+          <span class="search__result-title">${highlight(entry.title, terms)}</span>
+          <span class="search__result-snippet">${highlight(snippet(entry, terms), terms)}</span>
+        </a>
+      </li>`).join('');
+
+    input.setAttribute('aria-expanded', results.length > 0 ? 'true' : 'false');
+
+    if (!query.trim()) {
+      status.textContent = '';
+    } else if (results.length === 0) {
+      status.textContent = message('textNone', { query: query.trim() });
+    } else {
+      status.textContent = message(results.length === 1 ? 'textOne' : 'textMany', { count: results.length });
+    }
+
+    setActive(results.length > 0 ? 0 : -1);
+  }
+
+  async function update() {
+    const query = input.value;
+    const terms = fold(query).split(/\s+/).filter(Boolean);
+
+    let entries;
+    try {
+      entries = await loadIndex();
+    } catch (error) {
+      console.warn('[search] Could not load the search index:', error);
+      status.textContent = message('textError');
+      return;
+    }
+
+    // A newer keystroke has already rendered
+    if (query !== input.value) return;
+
+    results = terms.length > 0 ? search(entries, terms) : [];
+    render(query);
+  }
+
+  function open(trigger) {
+    if (dialog.open) return;
+
+    opener = trigger || document.activeElement;
+    dialog.showModal();
+    openers.forEach(button => button.setAttribute('aria-expanded', 'true'));
+    input.select();
+    loadIndex().catch(() => {});
+  }
+
+  openers.forEach(button => {
+    button.addEventListener('click', () => open(button), { signal });
+  });
+
+  dialog.addEventListener('close', () => {
+    openers.forEach(button => button.setAttribute('aria-expanded', 'false'));
+    if (opener && typeof opener.focus === 'function') opener.focus();
+  }, { signal });
+
+  dialog.querySelectorAll('[data-search-close]').forEach(button => {
+    button.addEventListener('click', () => dialog.close(), { signal });
+  });
+
+  // Clicks on the backdrop land on the dialog itself
+  dialog.addEventListener('click', event => {
+    if (event.target === dialog) dialog.close();
+  }, { signal });
+
+  input.addEventListener('input', update, { signal });
+
+  input.addEventListener('keydown', event => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActive(active + (event.key === 'ArrowDown' ? 1 : -1));
+    }
+  }, { signal });
+
+  // Enter opens the highlighted result
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const link = list.querySelectorAll('.search__result')[active];
+    if (link) window.location.href = link.href;
+  }, { signal });
+
+  list.addEventListener('mousemove', event => {
+    const option = event.target.closest('[role="option"]');
+    if (option) setActive(Array.from(list.children).indexOf(option));
+  }, { signal });
+
+  // "/" or Ctrl/Cmd+K from anywhere outside a text field
+  document.addEventListener('keydown', event => {
+    const target = event.target;
+    const typing = target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+
+    if ((event.key === 'k' && (event.metaKey || event.ctrlKey)) || (event.key === '/' && !typing)) {
+      event.preventDefault();
+      open(null);
+    }
+  }, { signal });
+
+  return () => {
+    controller.abort();
+    if (dialog.open) dialog.close();
+  };
+}
+
+const dialogs = createLifecycle('.search', initSearchDialog);
+
+/**
+ * Initialize the search overlay
+ * @param {ParentNode} root - Document or inserted block
+ */
+export const init = dialogs.init;
+
+/**
+ * Remove the search overlay's listeners
+ * @param {ParentNode} root - Document or removed block
+ */
+export const destroy = dialogs.destroy;
+
+export { init as initSearch };
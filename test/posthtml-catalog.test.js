@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, displayTitle } from '../posthtml-catalog.js';
+
+test('escapeHtml escapes text for content and attribute values', () => {
+  assert.equal(escapeHtml('<a href="/">Bugs & Butterflies</a>'), '&lt;a href=&quot;/&quot;&gt;Bugs &amp; Butterflies&lt;/a&gt;');
+  assert.equal(escapeHtml(1.6), '1.6');
+});
+
+test('escapeHtml leaves Nunjucks braces alone', () => {
+  assert.equal(escapeHtml('{{ title }} {% if x %}'), '{{ title }} {% if x %}');
+});
+
+test('displayTitle drops the Component/Block suffix', () => {
+  assert.equal(displayTitle({ title: 'Card Event Component', name: 'card-event' }), 'Card Event');
+  assert.equal(displayTitle({ title: 'Image Text Block', name: 'image-text' }), 'Image Text');
+  assert.equal(displayTitle({ title: '', name: 'tag' }), 'tag');
+});
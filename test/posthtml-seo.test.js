@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import posthtml from 'posthtml';
+import seo from '../posthtml-seo.js';
+
+const site = { name: 'Butterfly Pavilion', timeZone: 'America/Denver' };
+
+// A page with one card-event, as the card-event component renders it
+function page({ month = 'MAR', day = '21', time = '6:00 PM - 8:00 PM', title = 'Butterfly Photography Workshop', robots = '' } = {}) {
+  return `<html><head><title>Events</title>${robots ? `<meta name="robots" content="${robots}">` : ''}</head><body>
+    <article class="card-event card-event--adult">
+      <span class="tag">Adult Program</span><span class="tag">${time}</span>
+      <h3 class="card-event__title">${title}</h3>
+      <span class="card-event__month">${month}</span><span class="card-event__day">${day}</span>
+    </article>
+  </body></html>`;
+}
+
+// The JSON-LD graph seo() adds to a page
+async function graph(html, options = {}) {
+  const result = await posthtml([seo({ url: 'https://butterflies.org/events/', site, ...options })]).process(html);
+  const json = result.html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1];
+  return JSON.parse(json)['@graph'];
+}
+
+async function event(html, options) {
+  return (await graph(html, options)).find(node => node['@type'] === 'Event');
+}
+
+test('event times are read from the card and stamped with the site time zone', async () => {
+  const node = await event(page(), { today: new Date(2026, 0, 10) });
+
+  assert.equal(node.name, 'Butterfly Photography Workshop');
+  assert.equal(node.startDate, '2026-03-21T18:00:00-06:00');
+  assert.equal(node.endDate, '2026-03-21T20:00:00-06:00');
+  assert.equal(node.keywords, 'Adult Program');
+});
+
+test('the UTC offset follows daylight saving time', async () => {
+  const node = await event(page({ month: 'JAN', day: '15', time: '10:00 AM' }), { today: new Date(2026, 0, 1) });
+
+  assert.equal(node.startDate, '2026-01-15T10:00:00-07:00');
+  assert.equal(node.endDate, undefined);
+});
+
+test('noon, midnight and dotted a.m./p.m. times are parsed', async () => {
+  const node = await event(page({ time: '12 p.m. – 12:30 a.m.' }), { today: new Date(2026, 0, 10) });
+
+  assert.equal(node.startDate, '2026-03-21T12:00:00-06:00');
+  assert.equal(node.endDate, '2026-03-21T00:30:00-06:00');
+});
+
+test('without a site time zone, times have no offset', async () => {
+  const node = await event(page(), { today: new Date(2026, 0, 10), site: { name: 'Butterfly Pavilion' } });
+
+  assert.equal(node.startDate, '2026-03-21T18:00:00');
+});
+
+test('an event without a time only gets a date', async () => {
+  const node = await event(page({ time: 'All day' }), { today: new Date(2026, 0, 10) });
+
+  assert.equal(node.startDate, '2026-03-21');
+});
+
+test('a date that has passed this year rolls over to next year', async () => {
+  const node = await event(page(), { today: new Date(2026, 9, 19) });
+
+  assert.equal(node.startDate, '2027-03-21T18:00:00-06:00');
+});
+
+test('an event later today stays this year', async () => {
+  const node = await event(page(), { today: new Date(2026, 2, 21, 12) });
+
+  assert.equal(node.startDate, '2026-03-21T18:00:00-06:00');
+});
+
+test('cards with an unknown month are left out', async () => {
+  assert.equal(await event(page({ month: 'Soon' }), { today: new Date(2026, 0, 10) }), undefined);
+});
+
+test('noindex pages only get the museum node', async () => {
+  const nodes = await graph(page({ robots: 'noindex, follow' }), { today: new Date(2026, 0, 10) });
+
+  assert.deepEqual(nodes.map(node => node['@type']), [['Museum', 'TouristAttraction']]);
+});
+
+test('markup in event text cannot close the JSON-LD script', async () => {
+  const result = await posthtml([seo({ url: 'https://butterflies.org/events/', site, today: new Date(2026, 0, 10) })])
+    .process(page({ title: '&lt;/script&gt;&lt;script&gt;alert(1)' }));
+
+  assert.equal(result.html.match(/<\/script>/g).length, 1);
+  assert.match(result.html, /\\u003c\/script>\\u003cscript>alert\(1\)/);
+});
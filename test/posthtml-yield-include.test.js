@@ -0,0 +1,105 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import posthtml from 'posthtml';
+import yieldInclude, { loadData } from '../posthtml-yield-include.js';
+
+const src = resolve(import.meta.dirname, '../src');
+
+// A data directory with the given files, removed once the test is done
+function dataDir(t, files) {
+  const dir = mkdtempSync(join(tmpdir(), 'yield-include-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  for (const [name, content] of Object.entries(files)) {
+    writeFileSync(join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+async function render(html, options = {}) {
+  const result = await posthtml([yieldInclude({ root: src, encoding: 'utf-8', ...options })]).process(html);
+  return result.html;
+}
+
+test('<each> binds item fields as text, in content and attributes', async t => {
+  const data = dataDir(t, {
+    'events.json': [{ title: '<script>alert("x")</script> & more', image: { alt: 'A "quoted" <b>alt</b>' } }]
+  });
+
+  const html = await render(
+    '<each items="events" as="event"><h3><yield name="event.title"></yield></h3><img alt="<yield name=\'event.image.alt\'></yield>"></each>',
+    { data }
+  );
+
+  assert.equal(html, '<h3>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; more</h3><img alt="A &quot;quoted&quot; &lt;b&gt;alt&lt;/b&gt;">');
+});
+
+test('<each> keeps a yield\'s default content for missing fields', async t => {
+  const data = dataDir(t, { 'stats.json': [{ value: 0 }, {}] });
+
+  const html = await render('<each items="stats" as="stat"><b><yield name="stat.value">n/a</yield></b></each>', { data });
+
+  assert.equal(html, '<b>0</b><b>n/a</b>');
+});
+
+test('includes matching the component contract log nothing', async t => {
+  const warn = mock.method(console, 'warn', () => {});
+  t.after(() => warn.mock.restore());
+
+  await render('<include src="components/button/button.html"><yield name="text">Go</yield><yield name="url">/</yield><yield name="class">btn--outline</yield></include>');
+
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test('includes breaking the component contract are reported', async t => {
+  const warn = mock.method(console, 'warn', () => {});
+  t.after(() => warn.mock.restore());
+
+  await render('<include src="components/button/button.html"><yield name="text">Go</yield><yield name="label">Go</yield><yield name="class">btn--huge mt-4</yield></include>');
+
+  const messages = warn.mock.calls.map(call => call.arguments[0].split('\n')[0]);
+  assert.deepEqual(messages, [
+    '[yield-include] <include src="components/button/button.html">: unknown yield "label"',
+    '[yield-include] <include src="components/button/button.html">: missing required yield "url"',
+    '[yield-include] <include src="components/button/button.html">: undeclared variant class "btn--huge"'
+  ]);
+});
+
+test('contract validation can be turned off', async t => {
+  const warn = mock.method(console, 'warn', () => {});
+  t.after(() => warn.mock.restore());
+
+  await render('<include src="components/button/button.html"><yield name="label">Go</yield></include>', { validate: false });
+
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test('<t> markers are translated from the catalog, and missing keys reported', async () => {
+  const missing = [];
+  const html = await render('<p><t>Plan Your Visit</t> <t>Get   Tickets</t></p>', {
+    messages: { 'Plan Your Visit': 'Planea tu visita' },
+    onMissingTranslation: key => missing.push(key)
+  });
+
+  assert.equal(html, '<p>Planea tu visita Get   Tickets</p>');
+  assert.deepEqual(missing, ['Get Tickets']);
+});
+
+test('loadData merges a locale\'s translations over the data', t => {
+  const dir = dataDir(t, {
+    'events.json': [{ title: 'Butterfly Walk', link: { text: 'Learn More', url: '/walk/' } }, { title: 'Bug Camp' }],
+    'events.es.json': [{ title: 'Paseo de mariposas', link: { text: 'Más información' } }],
+    'events.fr.json': [{ title: 'Promenade des papillons' }],
+    'site.yml': 'name: Butterfly Pavilion\ndescription: Discover butterflies\n'
+  });
+
+  assert.deepEqual(loadData(dir, 'utf-8', 'es'), {
+    events: [{ title: 'Paseo de mariposas', link: { text: 'Más información', url: '/walk/' } }, { title: 'Bug Camp' }],
+    site: { name: 'Butterfly Pavilion', description: 'Discover butterflies' }
+  });
+  assert.deepEqual(loadData(dir, 'utf-8').events[0].title, 'Butterfly Walk');
+  assert.equal(Object.keys(loadData(dir, 'utf-8')).length, 2);
+});
@@ -1,109 +1,937 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import posthtml from 'posthtml';
-import yieldInclude from './posthtml-yield-include.js';
-import { resolve } from 'path';
-import { readdirSync } from 'fs';
+import nunjucks from 'nunjucks';
+import yieldInclude, { loadData } from './posthtml-yield-include.js';
+import catalog from './posthtml-catalog.js';
+import baseUrl, { collectUrls } from './posthtml-base-url.js';
+import responsiveImages from './posthtml-responsive-images.js';
+import icons from './posthtml-icons.js';
+import audit from './posthtml-a11y-audit.js';
+import seo, { renderSitemap, renderRobots } from './posthtml-seo.js';
+import locales, { alternates } from './posthtml-locales.js';
+import { extractSearchEntry } from './posthtml-search.js';
+import { renderMarkdownPage } from './markdown-pages.js';
+import { readPlaygroundEntries, renderPlayground, renderPlaygroundPreview } from './playground.js';
+import { resolve, relative, basename } from 'path';
+import { readdirSync, readFileSync, existsSync, statSync } from 'fs';
 
 const __dirname = import.meta.dirname;
 
-// Get all HTML pages from src/pages
-function getPageInputs() {
-  const pagesDir = resolve(__dirname, 'src/pages');
-  const inputs = {};
+const pagesDir = resolve(__dirname, 'src/pages');
+const dataDir = resolve(__dirname, 'src/data');
+const localesDir = resolve(__dirname, 'src/locales');
+
+// The language pages are written in, built at the site root. Every catalog
+// in src/locales (es.json, ...) adds a copy of the site under /<locale>/
+const defaultLocale = 'en';
+
+// Translation catalogs keyed by locale
+function getCatalogs() {
+  return loadData(localesDir, 'utf-8');
+}
+
+function getLocales() {
+  return [defaultLocale, ...Object.keys(getCatalogs()).filter(code => code !== defaultLocale)];
+}
+
+// URL prefix of a locale's pages: "" for the default locale, "es/" for Spanish
+function localePrefix(locale) {
+  return locale === defaultLocale ? '' : `${locale}/`;
+}
+
+// Locale of a translated page or data file - "es" for survival.es.md or
+// events.es.json - or null
+function sourceLocale(file) {
+  const match = basename(file).match(/^[^.]+\.([\w-]+)\.\w+$/);
+  return match && getLocales().includes(match[1]) ? match[1] : null;
+}
+
+// Clean URL route for a file in src/pages:
+// index.html -> "", exhibits.html or exhibits/index.html -> "exhibits",
+// exhibits/wings-of-the-tropics.html (or .md) -> "exhibits/wings-of-the-tropics"
+function pageRoute(file) {
+  return file
+    .replace(/\\/g, '/')
+    .replace(/\.(html|md)$/, '')
+    .replace(/(^|\/)index$/, '');
+}
+
+// Get all HTML and Markdown pages from src/pages (including subdirectories), keyed by route
+function getPages() {
+  const pages = {};
 
   try {
-    const files = readdirSync(pagesDir);
+    const files = readdirSync(pagesDir, { recursive: true })
+      .filter(file => /\.(html|md)$/.test(file) && !sourceLocale(file))
+      .sort();
+
     files.forEach(file => {
-      if (file.endsWith('.html')) {
-        const name = file.replace('.html', '');
-        inputs[name] = resolve(pagesDir, file);
+      const route = pageRoute(file);
+
+      if (route in pages) {
+        console.warn(`[pages] pages/${file} and pages/${pages[route]} are both /${route}/ - keeping pages/${pages[route]}`);
+        return;
       }
+
+      pages[route] = file;
     });
   } catch (e) {
     // Pages directory doesn't exist yet
   }
 
+  return pages;
+}
+
+// Rollup inputs for every page in every locale. Markdown pages are entered
+// as the .html file they stand in for, and other locales' pages as
+// src/<locale>/pages/..., both of which virtualPagesPlugin() provides
+function getPageInputs() {
+  const inputs = {};
+
+  for (const locale of getLocales()) {
+    for (const [route, file] of Object.entries(getPages())) {
+      const name = route.replace(/\//g, '-') || 'index';
+      const prefix = localePrefix(locale);
+
+      inputs[prefix ? `${locale}-${name}` : name] = resolve(__dirname, 'src', prefix, 'pages', file.replace(/\.md$/, '.html'));
+    }
+  }
+
   return inputs;
 }
 
+// Locale, route and source file (.html or .md) of a page path such as
+// src/pages/exhibits/index.html or src/es/pages/exhibits/index.html, or null.
+// Another locale's copy is rendered from the page's translation, such as
+// exhibits/survival.es.md, where there is one
+function resolvePage(filename) {
+  const path = relative(resolve(__dirname, 'src'), filename).replace(/\\/g, '/');
+  const match = path.match(/^(?:([\w-]+)\/)?pages\/(.+)\.html$/);
+  if (!match) return null;
+
+  const [, locale = defaultLocale, page] = match;
+  if (!getLocales().includes(locale)) return null;
+
+  const names = locale === defaultLocale ? [] : [`${page}.${locale}.html`, `${page}.${locale}.md`];
+  const file = [...names, `${page}.html`, `${page}.md`].map(name => resolve(pagesDir, name)).find(existsSync);
+  return file ? { locale, route: pageRoute(`${page}.html`), file } : null;
+}
+
+// Files a page's text comes from that have no translation for its locale,
+// as [{ file, translation }]: a Markdown page without its <page>.<locale>.md,
+// and data files without their <name>.<locale>.json (or .yml). HTML pages
+// are translated through their <t> markers instead
+function untranslatedSources(page) {
+  if (page.locale === defaultLocale) return [];
+
+  const sources = [];
+  const name = file => relative(__dirname, file).replace(/\\/g, '/');
+
+  if (page.file.endsWith('.md') && sourceLocale(page.file) !== page.locale) {
+    sources.push({ file: name(page.file), translation: name(page.file.replace(/\.md$/, `.${page.locale}.md`)) });
+  }
+
+  let files = [];
+  try {
+    files = readdirSync(dataDir).filter(file => /\.(json|ya?ml)$/.test(file));
+  } catch (e) {
+    // Data directory doesn't exist yet
+  }
+
+  for (const file of files.filter(file => !sourceLocale(file))) {
+    const key = file.split('.')[0];
+    const translated = files.some(other => other.startsWith(`${key}.${page.locale}.`));
+
+    if (!translated) {
+      sources.push({ file: name(resolve(dataDir, file)), translation: name(resolve(dataDir, file.replace(/(\.\w+)$/, `.${page.locale}$1`))) });
+    }
+  }
+
+  return sources;
+}
+
+// Output path for a page route, e.g. "exhibits/survival" -> "exhibits/survival/index.html"
+function routeOutput(route) {
+  return route ? `${route}/index.html` : 'index.html';
+}
+
 // Custom Vite plugin to process PostHTML with yield includes
-function posthtmlPlugin() {
+// Broken includes (missing files, cycles) fail the build and show in the dev
+// error overlay. Pass { strict: false } to only log them as warnings.
+//
+// Pages are rendered with Nunjucks first, so {% from "macros/blocks.njk" %}
+// macros, {% set %} variables and filters can be used anywhere in a page -
+// including inside <include> yields - before the yield stage runs.
+// Data files in src/data are available as variables (e.g. {{ events[0].title }}).
+//
+// Each page is rendered once per locale (see posthtml-locales.js): <t>
+// markers are translated from src/locales/<locale>.json and {{ locale }}
+// holds the locale code. Data comes from src/data merged with its
+// translations, such as events.es.json. Markers missing from a catalog, and
+// Markdown pages and data files with no translation (published as they
+// are), are reported at the end of the build, or per page in dev.
+//
+// Every rendered page is audited for accessibility problems last (see
+// posthtml-a11y-audit.js). Pass { a11y: { 'heading-order': 'error' } } to
+// change a rule's severity; errors fail the build, and in dev every problem
+// is logged per page.
+//
+// In dev, every page's includes are recorded as it renders. Editing a
+// partial (or a page) only updates the pages that use it: they get a
+// "posthtml:update" event and patch the changed markup in place (see
+// js/hot-patch.js). Parsed partials are cached until their file changes.
+//
+// The dev server also serves the component playground at /__playground/
+// (see playground.js): every block and component, rendered through this
+// pipeline with yields edited in a form.
+function posthtmlPlugin({ strict = true, a11y = {} } = {}) {
+  const src = resolve(__dirname, 'src');
+  const env = new nunjucks.Environment(new nunjucks.FileSystemLoader(src, { noCache: true }));
+
+  // Missing translations per locale: key -> pages using it
+  const missing = new Map();
+  // Untranslated source files per locale: file -> its translation's path and the pages using it
+  const untranslated = new Map();
+  // Accessibility problems: rule, message and trace -> pages showing it
+  const violations = new Map();
+  // Partials' source and parsed markup, shared by every page (see yieldInclude's cache option)
+  const partials = new Map();
+  // Files each page (by URL) was rendered from, and whether it failed, in dev
+  const dependencies = new Map();
+  let command = 'build';
+
   return {
     name: 'vite-posthtml-yield',
     enforce: 'pre',
 
-    // Watch component/block/layout HTML files for changes
+    configResolved(config) {
+      command = config.command;
+    },
+
+    // Watch component/block/layout HTML files, data files and catalogs for changes
     configureServer(server) {
-      const watchDirs = ['blocks', 'components', 'layouts'].map(
+      const watchDirs = ['blocks', 'components', 'layouts', 'macros', 'data', 'locales'].map(
         dir => resolve(__dirname, 'src', dir)
       );
 
       server.watcher.add(watchDirs);
 
       server.watcher.on('change', (file) => {
-        if (file.endsWith('.html') && !file.includes('src/pages')) {
-          // Trigger full page reload when includes change
+        const isHtml = file.startsWith(src) && file.endsWith('.html');
+        const isTemplate = /\.njk$/.test(file);
+        const isData = /src\/(data|locales)\//.test(file) && /\.(json|ya?ml)$/.test(file);
+
+        if (isHtml) {
+          // Update only the pages rendered from this file
+          partials.delete(file);
+
+          const affected = [...dependencies].filter(([, page]) => page.files.has(file));
+
+          // An error page has no scripts to patch it with
+          if (affected.some(([, page]) => page.failed)) {
+            server.ws.send({ type: 'full-reload' });
+          } else if (affected.length > 0) {
+            server.ws.send({ type: 'custom', event: 'posthtml:update', data: { file: relative(src, file), urls: affected.map(([url]) => url) } });
+          }
+        } else if (isTemplate || isData) {
+          // Macros and data can be used anywhere - reload every page
+          server.ws.send({ type: 'full-reload' });
+        }
+      });
+
+      // New and removed partials change catalog listings and broken includes
+      const onAddOrRemove = file => {
+        if (!file.startsWith(src) || !file.endsWith('.html') || file.startsWith(pagesDir)) return;
+
+        partials.delete(file);
+        server.ws.send({ type: 'full-reload' });
+      };
+      server.watcher.on('add', onAddOrRemove);
+      server.watcher.on('unlink', onAddOrRemove);
+
+      server.middlewares.use(async (req, res, next) => {
+        const [pathname, query = ''] = req.url.split(/(?=\?)/);
+        const base = server.config.base;
+        const path = pathname.startsWith(base) ? pathname.slice(base.length) : null;
+        if (path !== '__playground' && !/^__playground\/(index\.html|preview)?$/.test(path || '')) return next();
+
+        if (path === '__playground') {
+          res.writeHead(301, { Location: `${base}__playground/${query}` });
+          res.end();
+          return;
+        }
+
+        const params = new URLSearchParams(query);
+        const entries = readPlaygroundEntries(src, 'utf-8');
+        const isPreview = path.endsWith('preview');
+        const markup = isPreview ? renderPlaygroundPreview(entries, params) : renderPlayground(entries, params);
+
+        if (markup === null) {
+          res.statusCode = 404;
+          res.end(`Unknown component: ${params.get('component')}`);
+          return;
+        }
+
+        try {
+          const html = await server.transformIndexHtml(`/__playground/${isPreview ? 'preview' : 'index'}.html`, markup, req.originalUrl);
+          res.setHeader('Content-Type', 'text/html');
+          res.end(html);
+        } catch (error) {
+          if (!isPreview) return next(error);
+
+          // Show include errors (a missing file, a typo in a yield) in the preview frame
+          res.statusCode = 500;
+          res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+          res.end(error.message);
+        }
+      });
+    },
+
+    // Run before Vite scans the HTML for scripts, styles and assets,
+    // so tags coming from layouts and includes get bundled too
+    transformIndexHtml: {
+      order: 'pre',
+      async handler(html, ctx) {
+        const page = resolvePage(ctx.filename) || { locale: defaultLocale, route: '', file: ctx.filename };
+        const catalogs = getCatalogs();
+        const pageMissing = new Set();
+        const pageViolations = [];
+        const pageDependencies = { files: new Set([page.file]), failed: false };
+
+        // Pages requested by a browser, keyed by the URL it shows. Recorded
+        // up front so a page that fails to render reloads once it's fixed
+        if (command === 'serve' && ctx.originalUrl) {
+          dependencies.set(ctx.originalUrl.split('?')[0], pageDependencies);
+        }
+
+        try {
+          // Nunjucks stage: macros, variables and filters
+          const data = { ...loadData(dataDir, 'utf-8', page.locale), locale: page.locale };
+          const rendered = env.renderString(html, data, { path: page.file });
+
+          // Expand <catalog> listings into includes, process yield includes and
+          // translations, localize the page, inline the Font Awesome icons,
+          // then turn the resulting <img>s into responsive <picture>s and
+          // audit the result
+          const result = await posthtml([
+            catalog({
+              root: src,
+              encoding: 'utf-8'
+            }),
+            yieldInclude({
+              root: src,
+              encoding: 'utf-8',
+              from: page.file,
+              strict,
+              locale: page.locale,
+              messages: page.locale === defaultLocale ? null : catalogs[page.locale] || {},
+              onMissingTranslation: key => pageMissing.add(key),
+              onDependency: file => pageDependencies.files.add(file),
+              cache: partials
+            }),
+            locales({
+              locale: page.locale,
+              locales: getLocales(),
+              defaultLocale,
+              route: page.route
+            }),
+            icons({
+              root: src,
+              from: page.file
+            }),
+            responsiveImages({
+              root: src
+            }),
+            audit({
+              from: page.file,
+              rules: a11y,
+              onViolation: violation => pageViolations.push(violation)
+            })
+          ]).process(rendered, { sourceLocations: true });
+
+          reportMissing(page, pageMissing);
+          reportUntranslated(page, untranslatedSources(page));
+          reportViolations(page, pageViolations);
+          return result.html;
+        } catch (error) {
+          pageDependencies.failed = true;
+          console.error('PostHTML error:', error);
+          throw error;
+        }
+      }
+    },
+
+    buildEnd() {
+      for (const [locale, keys] of missing) {
+        const list = [...keys].map(([key, urls]) => `"${key}" (${[...urls].join(', ')})`);
+        console.warn(`[i18n] ${locale}: ${keys.size} missing translation(s) in src/locales/${locale}.json:\n  ${list.join('\n  ')}`);
+      }
+      missing.clear();
+
+      for (const [locale, files] of untranslated) {
+        const list = [...files].map(([file, { translation, urls }]) => `${file} (${[...urls].join(', ')}) - add ${translation}`);
+        console.warn(`[i18n] ${locale}: ${files.size} source file(s) with no translation, published untranslated:\n  ${list.join('\n  ')}`);
+      }
+      untranslated.clear();
+
+      if (violations.size > 0) {
+        const all = [...violations.values()];
+        const errors = all.filter(violation => violation.severity === 'error').length;
+
+        console.warn(`[a11y] ${errors} error(s), ${all.length - errors} warning(s) in the rendered pages:\n${all.map(formatViolation).join('\n')}`);
+        violations.clear();
+
+        if (errors > 0) {
+          this.error(`[a11y] ${errors} accessibility error(s) - see the report above`);
+        }
+      }
+    }
+  };
+
+  // URL of a page, as served
+  function pageUrl(page) {
+    return `/${localePrefix(page.locale)}${page.route ? `${page.route}/` : ''}`;
+  }
+
+  // Collect a page's missing keys for the build report; in dev, log them
+  // right away since there's no end of build
+  function reportMissing(page, keys) {
+    if (keys.size === 0) return;
+
+    const url = pageUrl(page);
+
+    if (command === 'serve') {
+      console.warn(`[i18n] ${page.locale}: ${keys.size} missing translation(s) on ${url}:\n  ${[...keys].map(key => `"${key}"`).join('\n  ')}`);
+      return;
+    }
+
+    if (!missing.has(page.locale)) missing.set(page.locale, new Map());
+    const locale = missing.get(page.locale);
+
+    for (const key of keys) {
+      if (!locale.has(key)) locale.set(key, new Set());
+      locale.get(key).add(url);
+    }
+  }
+
+  // Collect the untranslated files a page was rendered from for the build
+  // report. In dev, log them right away
+  function reportUntranslated(page, sources) {
+    if (sources.length === 0) return;
+
+    const url = pageUrl(page);
+
+    if (command === 'serve') {
+      console.warn(`[i18n] ${page.locale}: ${url} is rendered from ${sources.length} file(s) with no translation:\n  ${sources.map(({ file, translation }) => `${file} - add ${translation}`).join('\n  ')}`);
+      return;
+    }
+
+    if (!untranslated.has(page.locale)) untranslated.set(page.locale, new Map());
+    const locale = untranslated.get(page.locale);
+
+    for (const { file, translation } of sources) {
+      if (!locale.has(file)) locale.set(file, { translation, urls: new Set() });
+      locale.get(file).urls.add(url);
+    }
+  }
+
+  // Collect a page's accessibility problems for the build report - the
+  // same problem on several pages (or locales) is listed once. In dev, log
+  // them right away
+  function reportViolations(page, pageViolations) {
+    if (pageViolations.length === 0) return;
+
+    const url = pageUrl(page);
+
+    if (command === 'serve') {
+      console.warn(`[a11y] ${pageViolations.length} problem(s) on ${url}:\n${pageViolations.map(formatViolation).join('\n')}`);
+      return;
+    }
+
+    for (const violation of pageViolations) {
+      const key = [violation.rule, violation.message, ...violation.trace].join('\n');
+      if (!violations.has(key)) violations.set(key, { ...violation, urls: new Set() });
+      violations.get(key).urls.add(url);
+    }
+  }
+}
+
+// "  error img-alt: <img> has no alt attribute (/, /es/)" and its include chain
+function formatViolation({ rule, severity, message, trace, urls = new Set() }) {
+  const pages = urls.size > 0 ? ` (${[...urls].join(', ')})` : '';
+  return [`  ${severity} ${rule}: ${message}${pages}`, ...trace.map(line => `      ${line.trim()}`)].join('\n');
+}
+
+// Source markup for a page path that doesn't exist on disk (see
+// virtualPagesPlugin()), or null
+function virtualPageSource(id) {
+  if (!id.endsWith('.html') || existsSync(id)) return null;
+
+  const page = resolvePage(id);
+  if (!page) return null;
+
+  return page.file.endsWith('.md')
+    ? renderMarkdownPage(page.file, { root: resolve(__dirname, 'src'), encoding: 'utf-8' })
+    : readFileSync(page.file, 'utf-8');
+}
+
+// Page files that don't exist on disk: Markdown pages (see markdown-pages.js),
+// loaded as the pages/x.html they stand in for, and every page's copy for
+// another locale, src/<locale>/pages/x.html. In the build they're Rollup
+// inputs; the dev server renders them when a clean URL points at them.
+// Either way the result goes through the same transformIndexHtml pipeline,
+// which picks the locale up from the path.
+function virtualPagesPlugin() {
+  const src = resolve(__dirname, 'src');
+
+  return {
+    name: 'vite-virtual-pages',
+
+    resolveId: {
+      order: 'pre',
+      handler(id) {
+        return resolvePage(id) && !existsSync(id) ? id : null;
+      }
+    },
+
+    load: {
+      order: 'pre',
+      handler(id) {
+        return virtualPageSource(id);
+      }
+    },
+
+    // Registered after cleanUrlsPlugin(), which points req.url at the page file
+    configureServer(server) {
+      server.watcher.on('change', (file) => {
+        if (file.startsWith(pagesDir) && file.endsWith('.md')) {
           server.ws.send({ type: 'full-reload' });
         }
       });
+
+      server.middlewares.use(async (req, res, next) => {
+        const [pathname] = req.url.split('?');
+        const base = server.config.base;
+        if (!pathname.startsWith(base) || !pathname.endsWith('.html')) return next();
+
+        try {
+          const url = `/${decodeURIComponent(pathname.slice(base.length))}`;
+          const markup = virtualPageSource(resolve(src, `.${url}`));
+          if (markup === null) return next();
+
+          const html = await server.transformIndexHtml(url, markup, req.originalUrl);
+
+          res.setHeader('Content-Type', 'text/html');
+          res.end(html);
+        } catch (error) {
+          next(error);
+        }
+      });
+    }
+  };
+}
+
+// Serve pages at clean URLs, the same structure WordPress uses:
+// src/pages/exhibits/survival.html is built to exhibits/survival/index.html
+// and served at /exhibits/survival/ by the dev server. Other locales' copies
+// live under their prefix: es/pages/... is built to es/exhibits/survival/.
+function cleanUrlsPlugin() {
+  let base = '/';
+
+  return {
+    name: 'vite-clean-urls',
+
+    configResolved(config) {
+      base = config.base;
     },
 
-    async transformIndexHtml(html, ctx) {
-      try {
-        // Process PostHTML with yield includes
+    // Rewrite clean URLs to the page files before Vite's HTML fallback
+    // turns every unknown URL into /index.html
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const [pathname, query = ''] = req.url.split(/(?=\?)/);
+        if (!pathname.startsWith(base)) return next();
+
+        const path = decodeURIComponent(pathname.slice(base.length))
+          .replace(/(^|\/)index\.html$/, '')
+          .replace(/\/$/, '');
+        const [first, ...rest] = path.split('/');
+        const locale = getLocales().includes(first) && first !== defaultLocale ? first : defaultLocale;
+        const route = locale === defaultLocale ? path : rest.join('/');
+        const file = getPages()[route];
+
+        if (file === undefined) return next();
+
+        // Keep the trailing slash so the URL matches the built site
+        if (path && !pathname.endsWith('/') && !pathname.endsWith('/index.html')) {
+          res.writeHead(301, { Location: `${base}${path}/${query}` });
+          res.end();
+          return;
+        }
+
+        req.url = `${base}${localePrefix(locale)}pages/${file.replace(/\.md$/, '.html')}${query}`;
+        next();
+      });
+    },
+
+    // Move built pages from [<locale>/]pages/<route>.html to
+    // [<locale>/]<route>/index.html, after Vite has emitted them
+    generateBundle: {
+      order: 'post',
+      handler(options, bundle) {
+        for (const [fileName, output] of Object.entries(bundle)) {
+          const match = fileName.match(/^((?:[\w-]+\/)?)pages\/(.+\.html)$/);
+          if (output.type !== 'asset' || !match) continue;
+
+          const target = `${match[1]}${routeOutput(pageRoute(match[2]))}`;
+          delete bundle[fileName];
+          output.fileName = target;
+          bundle[target] = output;
+        }
+      }
+    }
+  };
+}
+
+// hreflang links between each page's copies in every locale. Added to the
+// final HTML, registered before baseUrlPlugin() so the base is applied
+function alternatesPlugin() {
+  return {
+    name: 'vite-locale-alternates',
+
+    transformIndexHtml: {
+      order: 'post',
+      async handler(html, ctx) {
+        const page = resolvePage(ctx.filename);
+        if (!page) return html;
+
         const result = await posthtml([
-          yieldInclude({
-            root: resolve(__dirname, 'src'),
-            encoding: 'utf-8'
-          })
+          alternates({ locale: page.locale, locales: getLocales(), defaultLocale, route: page.route })
         ]).process(html);
+        return result.html;
+      }
+    }
+  };
+}
+
+// Prefix root-relative links and asset URLs in the final HTML with the
+// configured base. Vite already does this for the assets it bundles; this
+// covers page links (href="/tickets.html") and anything it leaves alone.
+function baseUrlPlugin() {
+  let base = '/';
 
+  return {
+    name: 'vite-base-url',
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    transformIndexHtml: {
+      order: 'post',
+      async handler(html) {
+        const result = await posthtml([baseUrl({ base })]).process(html);
         return result.html;
-      } catch (error) {
-        console.error('PostHTML error:', error);
-        throw error;
       }
     }
   };
 }
 
-export default defineConfig({
-  root: 'src',
-  base: '/butterfly-pavilion-2/',
-  publicDir: resolve(__dirname, 'public'),
+// Social meta, JSON-LD, sitemap.xml and robots.txt for the built pages (see
+// posthtml-seo.js). Page URLs are absolute: siteUrl (SITE_URL, or the url in
+// src/data/site.yml) followed by the base. Every locale's pages are listed;
+// pages marked noindex stay out of the sitemap.
+function seoPlugin({ siteUrl } = {}) {
+  const src = resolve(__dirname, 'src');
+  let config;
+
+  return {
+    name: 'vite-seo',
+    apply: 'build',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    // After the pages have been moved to their clean URLs
+    generateBundle: {
+      order: 'post',
+      async handler(options, bundle) {
+        const site = loadData(dataDir, 'utf-8').site || {};
+        const base = config.base.startsWith('/') ? config.base : '/';
+        const home = `${(siteUrl || site.url || 'http://localhost').replace(/\/$/, '')}${base}`;
+        const emitted = new Map();
+
+        // Build URL of a source asset (e.g. the default og:image), emitting
+        // it if nothing else in the build references it
+        const resolveAsset = path => {
+          if (!path.startsWith('/') || path.startsWith('//')) return null;
+
+          const clean = decodeURIComponent(path.split(/[?#]/)[0]);
+          const publicFile = resolve(config.publicDir || src, `.${clean}`);
+          if (config.publicDir && existsSync(publicFile) && statSync(publicFile).isFile()) {
+            return `${base}${clean.slice(1)}`;
+          }
+
+          const file = resolve(src, `.${clean}`);
+          if (!existsSync(file) || !statSync(file).isFile()) return null;
+
+          if (!emitted.has(file)) {
+            emitted.set(file, this.emitFile({ type: 'asset', name: basename(file), source: readFileSync(file) }));
+          }
+          return `${base}${this.getFileName(emitted.get(file))}`;
+        };
+
+        const sitemap = [];
+
+        for (const locale of getLocales()) {
+          // Site details in the locale's language (site.es.yml, ...)
+          const localeSite = loadData(dataDir, 'utf-8', locale).site || {};
+
+          for (const [route, file] of Object.entries(getPages())) {
+            const path = `${localePrefix(locale)}${route ? `${route}/` : ''}`;
+            const output = bundle[`${path}index.html`];
+            if (!output || output.type !== 'asset') continue;
 
-  plugins: [
-    posthtmlPlugin()
-  ],
+            const url = `${home}${path}`;
+            let robots = '';
 
-  css: {
-    preprocessorOptions: {
-      scss: {
-        // Each component imports variables directly
-        // No additionalData needed
+            const result = await posthtml([
+              seo({ url, home, site: localeSite, resolveAsset }),
+              tree => tree.match({ tag: 'meta', attrs: { name: 'robots' } }, node => {
+                robots = node.attrs.content || '';
+                return node;
+              })
+            ]).process(String(output.source));
+
+            output.source = result.html;
+
+            if (!/noindex/i.test(robots)) {
+              // The locale's copy changes with its translation
+              const source = resolvePage(resolve(src, localePrefix(locale), 'pages', file.replace(/\.md$/, '.html')));
+              sitemap.push({ url, lastmod: statSync(source ? source.file : resolve(pagesDir, file)).mtime });
+            }
+          }
+        }
+
+        this.emitFile({ type: 'asset', fileName: 'sitemap.xml', source: renderSitemap(sitemap) });
+        this.emitFile({ type: 'asset', fileName: 'robots.txt', source: renderRobots(`${home}sitemap.xml`) });
       }
     }
-  },
+  };
+}
+
+// search-index.json for the search overlay (layouts/search.html): the
+// searchable text of every page in every locale (see posthtml-search.js).
+// The dev server builds it from freshly rendered pages on first request,
+// and again after any file changes.
+function searchIndexPlugin() {
+  const src = resolve(__dirname, 'src');
+  let config;
+  let devIndex = null;
+
+  // One entry per indexable page, from [{ locale, url, html }]
+  const buildIndex = async pages => {
+    const site = loadData(dataDir, 'utf-8').site || {};
+    const entries = [];
+
+    for (const { locale, url, html } of pages) {
+      let entry = null;
+      await posthtml([tree => { entry = extractSearchEntry(tree, { siteName: site.name }); }]).process(html);
+      if (entry) entries.push({ url, lang: locale, ...entry });
+    }
 
-  server: {
-    open: '/pages/index.html'
-  },
+    return JSON.stringify(entries);
+  };
 
-  build: {
-    outDir: resolve(__dirname, 'dist'),
-    emptyOutDir: true,
-    rollupOptions: {
-      input: getPageInputs()
+  // Every page and locale, as [{ locale, file, path }], path relative to the base
+  const listPages = () => getLocales().flatMap(locale => Object.entries(getPages()).map(([route, file]) => ({
+    locale,
+    file,
+    path: `${localePrefix(locale)}${route ? `${route}/` : ''}`
+  })));
+
+  return {
+    name: 'vite-search-index',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    configureServer(server) {
+      server.watcher.on('all', () => {
+        devIndex = null;
+      });
+
+      server.middlewares.use(async (req, res, next) => {
+        const [pathname] = req.url.split('?');
+        if (pathname !== `${config.base}search-index.json`) return next();
+
+        devIndex = devIndex || Promise.all(listPages().map(async ({ locale, file, path }) => {
+          const url = `/${localePrefix(locale)}pages/${file.replace(/\.md$/, '.html')}`;
+          const id = resolve(src, `.${url}`);
+          const markup = existsSync(id) ? readFileSync(id, 'utf-8') : virtualPageSource(id);
+
+          return { locale, url: `${config.base}${path}`, html: await server.transformIndexHtml(url, markup) };
+        })).then(buildIndex);
+
+        try {
+          const index = await devIndex;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(index);
+        } catch (error) {
+          devIndex = null;
+          next(error);
+        }
+      });
+    },
+
+    // After the pages have been moved to their clean URLs
+    generateBundle: {
+      order: 'post',
+      async handler(options, bundle) {
+        const base = config.base.startsWith('/') ? config.base : '/';
+        const pages = listPages()
+          .filter(({ path }) => bundle[`${path}index.html`])
+          .map(({ locale, path }) => ({ locale, url: `${base}${path}`, html: String(bundle[`${path}index.html`].source) }));
+
+        this.emitFile({ type: 'asset', fileName: 'search-index.json', source: await buildIndex(pages) });
+      }
     }
-  },
+  };
+}
+
+// Report internal links and asset references in the built pages that don't
+// resolve to an emitted page or file (or one copied from public/).
+// Pass { strict: true } to fail the build instead of warning.
+function linkCheckPlugin({ strict = false } = {}) {
+  let config;
+
+  return {
+    name: 'vite-link-check',
+    apply: 'build',
+    enforce: 'post',
 
-  resolve: {
-    alias: {
-      '@': resolve(__dirname, 'src'),
-      '@components': resolve(__dirname, 'src/components'),
-      '@blocks': resolve(__dirname, 'src/blocks'),
-      '@scss': resolve(__dirname, 'src/scss'),
-      '@js': resolve(__dirname, 'src/js')
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    // After the pages have been moved to their clean URLs
+    generateBundle: {
+      order: 'post',
+      async handler(options, bundle) {
+        const base = config.base.startsWith('/') ? config.base : '/';
+        const files = new Set([...Object.keys(bundle), ...listFiles(config.publicDir)]);
+        const broken = [];
+
+        for (const [fileName, output] of Object.entries(bundle)) {
+          if (output.type !== 'asset' || !fileName.endsWith('.html')) continue;
+
+          let urls = [];
+          await posthtml([tree => { urls = collectUrls(tree); }])
+            .process(String(output.source), { sourceLocations: true });
+
+          for (const { tag, attr, url, line } of urls) {
+            const target = resolveBuiltUrl(url, fileName, base);
+            if (target === null) continue;
+
+            // Directory URLs resolve to their index.html
+            const index = target === '' || target.endsWith('/') ? `${target}index.html` : `${target}/index.html`;
+            if (files.has(target) || files.has(index)) continue;
+
+            broken.push(`${fileName}:${line} <${tag} ${attr}="${url}">`);
+          }
+        }
+
+        if (broken.length === 0) return;
+
+        const message = `${broken.length} internal link(s) don't resolve to a built page or file:\n  ${broken.join('\n  ')}`;
+        if (strict) {
+          this.error(message);
+        }
+        console.warn(`[link-check] ${message}`);
+      }
     }
+  };
+}
+
+// Path of a URL inside the build output, or null for external URLs.
+// URLs outside the base can't resolve and come back as-is.
+function resolveBuiltUrl(url, page, base) {
+  const value = url.trim();
+  if (!value || /^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(value)) return null;
+
+  const { pathname } = new URL(value, `http://localhost${base}${page}`);
+  if (!pathname.startsWith(base)) return pathname;
+
+  return decodeURIComponent(pathname.slice(base.length));
+}
+
+// Files in a directory, as paths relative to it
+function listFiles(dir) {
+  if (!dir) return [];
+
+  try {
+    return readdirSync(dir, { recursive: true, withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => relative(dir, resolve(entry.parentPath || entry.path, entry.name)));
+  } catch (e) {
+    return [];
   }
+}
+
+// The deploy base can be set per environment with BASE_PATH, e.g. in
+// .env.production or `BASE_PATH=/ npm run build` for a root deploy.
+// Vite's --base flag still takes precedence.
+// SITE_URL is the origin absolute URLs (sitemap, og:url, JSON-LD) start with.
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, __dirname, '');
+
+  return {
+    root: 'src',
+    base: env.BASE_PATH || '/butterfly-pavilion-2/',
+    publicDir: resolve(__dirname, 'public'),
+
+    plugins: [
+      posthtmlPlugin(),
+      cleanUrlsPlugin(),
+      virtualPagesPlugin(),
+      alternatesPlugin(),
+      baseUrlPlugin(),
+      seoPlugin({ siteUrl: env.SITE_URL }),
+      searchIndexPlugin(),
+      linkCheckPlugin()
+    ],
+
+    css: {
+      preprocessorOptions: {
+        scss: {
+          // Each component imports variables directly
+          // No additionalData needed
+        }
+      }
+    },
+
+    server: {
+      open: true
+    },
+
+    build: {
+      outDir: resolve(__dirname, 'dist'),
+      emptyOutDir: true,
+      rollupOptions: {
+        input: getPageInputs()
+      }
+    },
+
+    resolve: {
+      alias: {
+        '@': resolve(__dirname, 'src'),
+        '@components': resolve(__dirname, 'src/components'),
+        '@blocks': resolve(__dirname, 'src/blocks'),
+        '@scss': resolve(__dirname, 'src/scss'),
+        '@js': resolve(__dirname, 'src/js')
+      }
+    }
+  };
 });
@@ -0,0 +1,983 @@
+/**
+ * WordPress ACF block export
+ *
+ * Turns each src/blocks/* template into the pieces of a WordPress ACF block,
+ * so the static prototype stays the source of truth for the theme:
+ *
+ * wordpress/
+ *   blocks/card-events/
+ *     block.json      - registers acf/card-events with its style and view script
+ *     render.php      - render template, yields mapped to get_field() calls
+ *     style.css       - compiled block SCSS plus the components it includes
+ *     view.js         - the block's "Scripts:" init functions (with view.asset.php)
+ *   acf-json/
+ *     group_block_card_events.json - field group built from "ACF Fields:"
+ *     group_post_testimonial.json  - fields of the posts a relationship field picks
+ *
+ * Usage:
+ *   npm run export:wordpress
+ *   npm run export:wordpress -- --out ../theme --block card-events
+ *
+ * Yields are matched to ACF fields by name: yield "headline" maps to field
+ * "card_events_headline", "primaryButton" to "hero_primary_button". A field
+ * renders according to its type, using the yield's markup from the header
+ * "Usage" example (or the template default) as the pattern:
+ * - text/textarea/select: escaped text, keeping a single wrapper element
+ *   from the example (e.g. <p class="card-carousel__body">)
+ * - wysiwyg: wp_kses_post()
+ * - image: wp_get_attachment_image() with the example <img> class
+ * - link: the example link markup (button/link-arrow include or <a>) filled
+ *   from the link array
+ * - repeater: a have_rows() loop around one row of the example; rows of an
+ *   <each> example bind their "as.field" yields to sub fields
+ * - relationship: a loop over the picked posts (every post of the type when
+ *   none are picked) around one row of the example, with the post's own
+ *   fields nested under it, e.g. testimonials (relationship: testimonial).
+ *   The theme registers the post type
+ * - class: the block's additional CSS class, plus variant classes driven by
+ *   select or true_false fields (card-event--{event_category}, image-text--reversed)
+ *
+ * Unmapped yields keep their template default. Optional yields and
+ * <if yield> become if (get_field()) checks. A required yield without a
+ * field, or a repeater without an example row, is an error: the block isn't
+ * written and the command exits with a non-zero code.
+ */
+
+import { readdirSync, existsSync, mkdirSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { resolve, relative, join } from 'path';
+import { tmpdir } from 'os';
+import { createHash } from 'crypto';
+import posthtml from 'posthtml';
+import * as sass from 'sass';
+import { build } from 'vite';
+import yieldInclude from './posthtml-yield-include.js';
+import icons from './posthtml-icons.js';
+import { readComponentSchema } from './component-schema.js';
+import { displayTitle } from './posthtml-catalog.js';
+
+const __dirname = import.meta.dirname;
+const src = resolve(__dirname, 'src');
+
+const ACF_TYPES = ['text', 'textarea', 'wysiwyg', 'image', 'link', 'url', 'select', 'true_false', 'repeater', 'relationship', 'number', 'email'];
+
+// Libraries the theme registers as scripts - block scripts use them as globals
+const SCRIPT_GLOBALS = { gsap: 'gsap' };
+// Animation modules drive ScrollTrigger through gsap, so they need the plugin loaded too
+const SCRIPT_HANDLES = { gsap: ['gsap', 'gsap-scrolltrigger'] };
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const outDir = resolve(process.cwd(), args.out || resolve(__dirname, 'wordpress'));
+  const blocksDir = resolve(src, 'blocks');
+
+  const names = readdirSync(blocksDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .filter(name => args.blocks.length === 0 || args.blocks.includes(name))
+    .sort();
+
+  let failed = 0;
+
+  for (const name of names) {
+    const file = resolve(blocksDir, name, `${name}.html`);
+    if (!existsSync(file)) continue;
+
+    const schema = readComponentSchema(file, 'utf-8');
+    const match = schema.wordpress.match(/ACF Block - (acf\/[\w-]+)/);
+
+    if (!match) {
+      console.warn(`[wp-export] ${name}: no "WordPress: ACF Block - acf/..." header line, skipping`);
+      continue;
+    }
+
+    if (!(await exportBlock(schema, match[1], outDir))) failed++;
+  }
+
+  if (failed > 0) {
+    throw new Error(`[wp-export] ${failed} block${failed === 1 ? '' : 's'} could not be exported`);
+  }
+}
+
+// Returns false, without writing anything, when the block can't be exported
+async function exportBlock(schema, blockName, outDir) {
+  const ctx = { name: blockName, php: [], used: new Set(), components: new Set(), warnings: [], errors: [] };
+  const blockDir = resolve(outDir, 'blocks', schema.name);
+
+  const requiredFields = checkFields(schema, ctx);
+  const template = await renderBlock(schema, ctx);
+
+  for (const field of flattenFields(schema.acfFields)) {
+    if (!ctx.used.has(field)) ctx.warnings.push(`ACF field "${field.name}" is not used by the template`);
+  }
+
+  ctx.warnings.forEach(warning => console.warn(`[wp-export] ${blockName}: ${warning}`));
+
+  if (ctx.errors.length > 0) {
+    ctx.errors.forEach(error => console.error(`[wp-export] ${blockName}: ${error}`));
+    return false;
+  }
+
+  mkdirSync(blockDir, { recursive: true });
+  mkdirSync(resolve(outDir, 'acf-json'), { recursive: true });
+
+  writeFileSync(resolve(blockDir, 'render.php'), template);
+  writeFileSync(resolve(blockDir, 'style.css'), compileStyles(schema, ctx));
+
+  const hasScript = schema.scripts.length > 0;
+  if (hasScript) {
+    await bundleScripts(schema, blockDir);
+  }
+
+  writeJson(resolve(blockDir, 'block.json'), blockJson(schema, blockName, hasScript));
+  writeJson(resolve(outDir, 'acf-json', `${groupKey(schema)}.json`), fieldGroup(schema, blockName, requiredFields));
+
+  for (const field of flattenFields(schema.acfFields)) {
+    if (fieldType(field) === 'relationship' && field.children.length > 0) {
+      writeJson(resolve(outDir, 'acf-json', `group_post_${relatedPostType(field).replace(/-/g, '_')}.json`), postTypeGroup(schema, field));
+    }
+  }
+
+  console.log(`[wp-export] ${blockName} -> ${relative(process.cwd(), blockDir)}`);
+  return true;
+}
+
+// Required yields need a field; returns the names of fields that must be
+// filled in. A relationship falls back to every post, so it can stay empty
+function checkFields(schema, ctx) {
+  const required = new Set();
+
+  for (const name of schema.requiredYields) {
+    const field = findField(name, schema.acfFields);
+    if (!field) {
+      ctx.errors.push(`required yield "${name}" has no ACF field`);
+    } else if (fieldType(field) !== 'relationship') {
+      required.add(field.name);
+    }
+  }
+
+  return required;
+}
+
+// --------------------------------------------------------------------------
+// Render template
+// --------------------------------------------------------------------------
+
+async function renderBlock(schema, ctx) {
+  const scope = {
+    fields: schema.acfFields,
+    get: 'get_field',
+    given: exampleYields(schema),
+    schema,
+    block: true
+  };
+
+  const markup = renderTemplate(schema.markup, scope, ctx);
+  collectComponents(markup, ctx);
+
+  // Nested includes (template defaults, example link markup) render
+  // statically, and icons become the same inline SVG the prototype ships
+  const result = await posthtml([
+    yieldInclude({ root: src, encoding: 'utf-8', validate: false }),
+    icons({ root: src, from: schema.file })
+  ]).process(markup);
+
+  const html = resolveTokens(result.html, ctx)
+    .replace(/<!--[\s\S]*?-->\s*/g, '')
+    .replace(/\b(src|href|poster)="(?:\.\.)?\/assets\/([^"]+)"/g, `$1="<?php echo esc_url(get_theme_file_uri('assets/$2')); ?>"`)
+    .trim();
+
+  return `<?php
+/**
+ * ${displayTitle(schema)} - render template for ${ctx.name}
+ *
+ * Generated by \`npm run export:wordpress\` from ${relative(__dirname, schema.file)}.
+ * Edit the prototype template and re-export instead of changing this file.
+ *
+ * @var array $block The block settings and attributes.
+ */
+?>
+${html}
+`;
+}
+
+// Replace a template's yields with PHP for the fields in scope
+function renderTemplate(markup, scope, ctx) {
+  const withAttributes = replaceAttributeYields(markup, (name, defaultContent, attrName) => {
+    const php = attributeValue(name, defaultContent, attrName, scope, ctx);
+    return php === null ? defaultContent : php;
+  });
+
+  return render(transformNodes(parse(withAttributes), scope, ctx));
+}
+
+// Yields inside attribute values can't be parsed as nodes - replace them first
+function replaceAttributeYields(markup, replace) {
+  return markup.replace(/(\w+)="([^"]*<yield\s+name=["'][^"']+["'][^>]*>[^<]*<\/yield>[^"]*)"/g, (match, attrName, attrValue) => {
+    const value = attrValue.replace(/<yield\s+name=["']([^"']+)["']([^>]*)>([^<]*)<\/yield>/g, (yieldMatch, name, attrs, defaultContent) => {
+      return replace(name, defaultContent.trim(), attrName, /\boptional\b/.test(attrs));
+    });
+    return `${attrName}="${value}"`;
+  });
+}
+
+function transformNodes(nodes, scope, ctx) {
+  if (!Array.isArray(nodes)) return nodes;
+
+  return nodes.flatMap(node => {
+    if (!node || typeof node !== 'object') return [node];
+
+    if (node.tag === 'yield' && node.attrs && node.attrs.name) {
+      const optional = node.attrs.optional === '' || node.attrs.optional === 'true' || node.attrs.optional === true;
+      const value = yieldValue(node.attrs.name, render(node.content || []), optional, scope, ctx);
+      return value === null ? transformNodes(node.content || [], scope, ctx) : [value];
+    }
+
+    if ((node.tag === 'if' || node.tag === 'unless') && node.attrs && node.attrs.yield) {
+      return conditional(node, scope, ctx);
+    }
+
+    if (node.tag === 'include' || node.tag === 'extends') {
+      // Children of a nested include are its arguments - only their content is ours
+      node.content = (node.content || []).map(child => {
+        if (child && typeof child === 'object') child.content = transformNodes(child.content || [], scope, ctx);
+        return child;
+      });
+      return [node];
+    }
+
+    node.content = transformNodes(node.content || [], scope, ctx);
+    return [node];
+  });
+}
+
+// <if yield="x"> on a mapped field becomes a PHP check, otherwise the yield
+// is never supplied and the branch resolves statically
+function conditional(node, scope, ctx) {
+  const content = node.content || [];
+  const elseIndex = content.findIndex(child => child && typeof child === 'object' && child.tag === 'else');
+  const thenBranch = elseIndex === -1 ? content : content.slice(0, elseIndex);
+  const elseBranch = elseIndex === -1 ? [] : content[elseIndex].content || [];
+  const field = findField(node.attrs.yield, scope.fields);
+
+  if (!field) {
+    return transformNodes(node.tag === 'if' ? elseBranch : thenBranch, scope, ctx);
+  }
+
+  ctx.used.add(field);
+  const check = `${node.tag === 'unless' ? '!' : ''}${fieldValue(field, scope)}`;
+
+  return [
+    token(ctx, `<?php if (${check}) : ?>`),
+    ...transformNodes(thenBranch, scope, ctx),
+    ...(elseBranch.length > 0 ? [token(ctx, '<?php else : ?>'), ...transformNodes(elseBranch, scope, ctx)] : []),
+    token(ctx, '<?php endif; ?>')
+  ];
+}
+
+// Markup for a content yield, or null to keep the default
+function yieldValue(name, defaultContent, optional, scope, ctx) {
+  const field = findField(name, scope.fields);
+  if (!field) return null;
+
+  ctx.used.add(field);
+  const example = scope.given[name] !== undefined ? scope.given[name] : defaultContent;
+  const html = fieldMarkup(field, name, example, scope, ctx);
+
+  if ((optional || field.optional) && !['link', 'repeater'].includes(fieldType(field))) {
+    return `${token(ctx, `<?php if (${fieldValue(field, scope)}) : ?>`)}${html}${token(ctx, '<?php endif; ?>')}`;
+  }
+
+  return html;
+}
+
+// PHP for a yield inside an attribute value, or null to keep the default
+function attributeValue(name, defaultContent, attrName, scope, ctx) {
+  if (name === 'class' && scope.block) {
+    return token(ctx, `<?php echo esc_attr(${classExpression(defaultContent, scope, ctx)}); ?>`);
+  }
+
+  const field = findField(name, scope.fields);
+  if (!field) return null;
+
+  ctx.used.add(field);
+  return token(ctx, `<?php echo ${escapeAttribute(field, fieldValue(field, scope))}; ?>`);
+}
+
+// The block's "Additional CSS class" replaces the default class yield; boolean
+// fields named after a variant (it_reversed -> image-text--reversed) toggle it
+function classExpression(defaultContent, scope, ctx) {
+  const classes = [`(!empty($block['className']) ? $block['className'] : '${defaultContent}')`];
+
+  for (const field of scope.fields) {
+    if (fieldType(field) !== 'true_false') continue;
+
+    const variant = scope.schema.variants.find(v => field.name.endsWith(`_${v.class.split('--')[1]}`));
+    if (variant) {
+      ctx.used.add(field);
+      classes.push(`(${fieldValue(field, scope)} ? ' ${variant.class}' : '')`);
+    }
+  }
+
+  return classes.join(' . ');
+}
+
+function fieldMarkup(field, name, example, scope, ctx) {
+  const value = fieldValue(field, scope);
+
+  switch (fieldType(field)) {
+    case 'repeater':
+      return repeaterMarkup(field, name, scope, ctx);
+    case 'relationship':
+      return relationshipMarkup(field, name, scope, ctx);
+    case 'link':
+      return linkMarkup(example, value, ctx);
+    case 'image': {
+      const imgClass = (example.match(/<img\b[^>]*\bclass="([^"]*)"/) || [])[1];
+      const attrs = imgClass ? `['class' => '${imgClass}']` : '[]';
+      return token(ctx, `<?php echo wp_get_attachment_image(${value}, 'large', false, ${attrs}); ?>`);
+    }
+    case 'wysiwyg':
+      return token(ctx, `<?php echo wp_kses_post(${value}); ?>`);
+    case 'url':
+      return token(ctx, `<?php echo esc_url(${value}); ?>`);
+    default: {
+      // "text/svg" style fields hold markup (icons)
+      const escape = /svg|html/.test(field.type) ? 'wp_kses_post' : 'esc_html';
+      return wrapLikeExample(example, token(ctx, `<?php echo ${escape}(${value}); ?>`));
+    }
+  }
+}
+
+function escapeAttribute(field, value) {
+  switch (fieldType(field)) {
+    case 'url':
+      return `esc_url(${value})`;
+    case 'image':
+      return `esc_url(wp_get_attachment_image_url(${value}, 'large'))`;
+    case 'link':
+      return `esc_url(${value}['url'] ?? '')`;
+    // Data attributes read "true" and "false"
+    case 'true_false':
+      return `(${value} ? 'true' : 'false')`;
+    default:
+      return `esc_attr(${value})`;
+  }
+}
+
+// Keep the example's wrapper when it is a single element holding plain text,
+// e.g. <h2 class="card-icons__headline">Plan Your Visit</h2>
+function wrapLikeExample(example, inner) {
+  const nodes = parse(example).filter(node => typeof node !== 'string' || node.trim());
+  const [wrapper] = nodes;
+
+  const content = (wrapper && wrapper.content) || [];
+  const isTextWrapper = nodes.length === 1 && typeof wrapper === 'object' && wrapper.tag &&
+    content.length > 0 && content.every(child => typeof child === 'string');
+
+  return isTextWrapper ? render([{ ...wrapper, content: [inner] }]) : inner;
+}
+
+// Fill the example's link markup from an ACF link array
+function linkMarkup(example, value, ctx) {
+  const title = token(ctx, "<?php echo esc_html($link['title']); ?>");
+  const url = token(ctx, "<?php echo esc_url($link['url']); ?>");
+  const target = token(ctx, "<?php echo esc_attr($link['target'] ?: '_self'); ?>");
+
+  const nodes = parse(example);
+  let filled = false;
+
+  walk(nodes, node => {
+    if (filled) return false;
+
+    if (node.tag === 'include') {
+      // button / link-arrow components take text and url yields
+      const yields = (node.content || []).filter(child => child && child.tag === 'yield');
+      const names = yields.map(child => child.attrs && child.attrs.name);
+      if (!names.includes('text') && !names.includes('url')) return false;
+
+      node.content = [
+        ...yields.filter(child => !['text', 'url'].includes(child.attrs.name)),
+        { tag: 'yield', attrs: { name: 'text' }, content: [title] },
+        { tag: 'yield', attrs: { name: 'url' }, content: [url] }
+      ];
+      filled = true;
+      return false;
+    }
+
+    if (node.tag === 'a') {
+      // The title replaces the example's text; icons and other elements stay
+      let placed = false;
+      node.content = (node.content || []).flatMap(child => {
+        if (typeof child !== 'string' || !child.trim()) return [child];
+        if (placed) return [];
+        placed = true;
+        return [title];
+      });
+      if (!placed) node.content.push(title);
+
+      node.attrs = { ...node.attrs, href: url, target };
+      filled = true;
+      return false;
+    }
+
+    return true;
+  });
+
+  const markup = filled ? render(nodes) : `<a href="${url}" target="${target}">${title}</a>`;
+  return `${token(ctx, `<?php $link = ${value}; if ($link) : ?>`)}${markup}${token(ctx, '<?php endif; ?>')}`;
+}
+
+// A have_rows() loop around one example row
+function repeaterMarkup(field, name, scope, ctx) {
+  const row = rowTemplate(scope.schema, name);
+
+  if (!row) {
+    ctx.errors.push(`repeater "${field.name}" has no "Usage" example row for yield "${name}"`);
+    return '';
+  }
+
+  const rowScope = { fields: field.children, get: 'get_sub_field', given: {}, schema: null, block: false };
+
+  return [
+    token(ctx, `<?php if (have_rows('${field.name}')) : while (have_rows('${field.name}')) : the_row(); ?>`),
+    renderRow(row, rowScope, ctx),
+    token(ctx, '<?php endwhile; endif; ?>')
+  ].join('');
+}
+
+// A loop over the picked posts around one example row, reading the post's
+// own fields - every post of the type when none are picked
+function relationshipMarkup(field, name, scope, ctx) {
+  const row = rowTemplate(scope.schema, name);
+  const postType = relatedPostType(field);
+
+  if (!row || !postType) {
+    ctx.errors.push(row
+      ? `relationship "${field.name}" names no post type, e.g. (relationship: testimonial)`
+      : `relationship "${field.name}" has no "Usage" example row for yield "${name}"`);
+    return '';
+  }
+
+  const post = `$${postType.replace(/-/g, '_')}`;
+  const posts = `${fieldValue(field, scope)} ?: get_posts(['post_type' => '${postType}', 'numberposts' => -1, 'fields' => 'ids'])`;
+  const rowScope = { fields: field.children, get: 'get_field', post, given: {}, schema: null, block: false };
+
+  return [
+    token(ctx, `<?php foreach (${posts} as ${post}) : ?>`),
+    renderRow(row, rowScope, ctx),
+    token(ctx, '<?php endforeach; ?>')
+  ].join('');
+}
+
+// One row of a repeater yield from the usage examples - the body of an
+// <each> when there is one, otherwise the first item
+function rowTemplate(schema, name) {
+  let first = null;
+
+  for (const usage of schema.usage) {
+    const nodes = parse(usage.code);
+    let found = null;
+
+    walk(nodes, node => {
+      if (found || node.tag !== 'yield' || !node.attrs || node.attrs.name !== name) return !found;
+
+      walk(node.content || [], child => {
+        if (!found && child.tag === 'each' && child.attrs && child.attrs.as) {
+          found = { markup: render(child.content || []), as: child.attrs.as };
+        }
+        return !found;
+      });
+
+      const item = (node.content || []).find(child => child && typeof child === 'object' && child.tag);
+      if (!found && !first && item) {
+        first = { markup: render([item]), as: null };
+      }
+      return false;
+    });
+
+    if (found) return found;
+  }
+
+  return first;
+}
+
+function renderRow(row, scope, ctx) {
+  let markup = row.markup;
+
+  // <each> bindings in attribute values (single-quoted names) can't be parsed as nodes
+  if (row.as) {
+    const binding = new RegExp(`<yield\\s+name='${row.as}\\.([\\w.]+)'[^>]*>([^<]*)<\\/yield>`, 'g');
+
+    markup = markup.replace(binding, (match, path, defaultContent) => {
+      const field = subField(row.as, path, scope, ctx);
+      return field ? token(ctx, `<?php echo ${escapeAttribute(field, fieldValue(field, scope))}; ?>`) : defaultContent;
+    });
+  }
+
+  return render(bindRow(parse(markup), row.as, scope, ctx, false));
+}
+
+// <each> bindings: "as.field" yields read sub fields, escaped for an attribute
+// when they fill one of a component's attribute yields
+function bindRow(nodes, as, scope, ctx, attribute) {
+  return (nodes || []).flatMap(node => {
+    if (!node || typeof node !== 'object') return [node];
+
+    const path = node.tag === 'yield' && node.attrs && bindingPath(node.attrs.name, as);
+    if (path) {
+      const field = subField(as, path, scope, ctx);
+      if (!field) return node.content || [];
+
+      return [attribute
+        ? token(ctx, `<?php echo ${escapeAttribute(field, fieldValue(field, scope))}; ?>`)
+        : fieldMarkup(field, path, render(node.content || []), scope, ctx)];
+    }
+
+    if (node.tag === 'include' && node.attrs && node.attrs.src) {
+      return bindInclude(node, as, scope, ctx);
+    }
+
+    node.content = bindRow(node.content, as, scope, ctx, attribute);
+    return [node];
+  });
+}
+
+// "event.category" -> "category" for rows bound as "event"
+function bindingPath(name, as) {
+  return as && name && name.startsWith(`${as}.`) ? name.slice(as.length + 1) : null;
+}
+
+function subField(as, path, scope, ctx) {
+  const field = findField(path, scope.fields);
+  if (!field) {
+    ctx.warnings.push(`no sub field for "${as}.${path}"`);
+    return null;
+  }
+
+  ctx.used.add(field);
+  return field;
+}
+
+// Supply a component include's yields from matching sub fields. The component
+// is inlined, so its <if yield> checks on those fields become PHP checks
+function bindInclude(node, as, scope, ctx) {
+  const file = resolve(src, node.attrs.src);
+  if (!existsSync(file)) return [node];
+
+  const component = readComponentSchema(file, 'utf-8');
+  const examples = exampleYields(component);
+  const attributes = new Set(component.yields.filter(y => y.attribute).map(y => y.name));
+  collectComponents(`<include src="${node.attrs.src}">`, ctx);
+
+  // "..." stands for the yields left out of the example
+  const given = new Map();
+  // Yields that are exactly one sub field
+  const bound = new Map();
+
+  for (const child of node.content || []) {
+    if (!child || typeof child !== 'object' || child.tag !== 'yield') continue;
+
+    const nodes = (child.content || []).filter(item => typeof item !== 'string' || item.trim());
+    const path = nodes.length === 1 && nodes[0].tag === 'yield' && nodes[0].attrs && bindingPath(nodes[0].attrs.name, as);
+    const field = path && findField(path, scope.fields);
+    if (field) bound.set(child.attrs.name, field);
+
+    const content = render(bindRow(child.content || [], as, scope, ctx, attributes.has(child.attrs.name)));
+    if (content.trim() !== '...') given.set(child.attrs.name, content);
+  }
+
+  for (const y of component.yields) {
+    const content = given.get(y.name);
+    if (content !== undefined && hasToken(content)) continue;
+
+    if (y.name === 'class') {
+      const variant = variantClass(component, scope, ctx);
+      if (variant) given.set('class', variant);
+      continue;
+    }
+
+    const field = findField(y.name, scope.fields);
+    if (!field) continue;
+
+    ctx.used.add(field);
+    bound.set(y.name, field);
+    const example = content !== undefined ? content : (examples[y.name] || '');
+    given.set(y.name, y.attribute
+      ? token(ctx, `<?php echo ${escapeAttribute(field, fieldValue(field, scope))}; ?>`)
+      : fieldMarkup(field, y.name, example, scope, ctx));
+  }
+
+  const markup = replaceAttributeYields(component.markup, (name, defaultContent, attrName, optional) => {
+    if (given.has(name)) return given.get(name);
+    return optional ? '' : defaultContent;
+  });
+
+  return fillYields(parse(`${markup}\n`), given, bound, scope, ctx);
+}
+
+// A component's yields filled from an include, the way posthtml-yield-include
+// does it, except that <if yield> on a bound sub field is checked in PHP
+function fillYields(nodes, given, bound, scope, ctx) {
+  if (!Array.isArray(nodes)) return nodes;
+
+  return nodes.flatMap(node => {
+    if (!node || typeof node !== 'object') return [node];
+
+    if (node.tag === 'yield' && node.attrs && node.attrs.name) {
+      if (given.has(node.attrs.name)) return [given.get(node.attrs.name)];
+
+      const optional = node.attrs.optional === '' || node.attrs.optional === 'true' || node.attrs.optional === true;
+      return optional ? [] : fillYields(node.content || [], given, bound, scope, ctx);
+    }
+
+    if ((node.tag === 'if' || node.tag === 'unless') && node.attrs && node.attrs.yield) {
+      const content = node.content || [];
+      const elseIndex = content.findIndex(child => child && typeof child === 'object' && child.tag === 'else');
+      const thenBranch = fillYields(elseIndex === -1 ? content : content.slice(0, elseIndex), given, bound, scope, ctx);
+      const elseBranch = fillYields(elseIndex === -1 ? [] : content[elseIndex].content || [], given, bound, scope, ctx);
+      const field = bound.get(node.attrs.yield);
+
+      if (!field) {
+        const supplied = (given.get(node.attrs.yield) || '').trim().length > 0;
+        return (node.tag === 'if') === supplied ? thenBranch : elseBranch;
+      }
+
+      const check = `${node.tag === 'unless' ? '!' : ''}${fieldValue(field, scope)}`;
+
+      return [
+        token(ctx, `<?php if (${check}) : ?>`),
+        ...thenBranch,
+        ...(elseBranch.length > 0 ? [token(ctx, '<?php else : ?>'), ...elseBranch] : []),
+        token(ctx, '<?php endif; ?>')
+      ];
+    }
+
+    if (node.tag === 'include' || node.tag === 'extends') {
+      // Children of a nested include are its arguments - only their content is ours
+      node.content = (node.content || []).map(child => {
+        if (child && typeof child === 'object') child.content = fillYields(child.content || [], given, bound, scope, ctx);
+        return child;
+      });
+      return [node];
+    }
+
+    node.content = fillYields(node.content || [], given, bound, scope, ctx);
+    return [node];
+  });
+}
+
+// A select sub field whose choices are the component's variants picks the
+// variant class, e.g. event_category (adult, family, kids) -> card-event--kids
+function variantClass(component, scope, ctx) {
+  const suffixes = component.variants.filter(v => v.class.includes('--')).map(v => v.class.split('--')[1]);
+  if (suffixes.length === 0) return null;
+
+  const field = scope.fields.find(f => {
+    const choices = selectChoices(f);
+    return fieldType(f) === 'select' && choices.length > 0 && choices.every(choice => suffixes.includes(choice));
+  });
+  if (!field) return null;
+
+  ctx.used.add(field);
+  const prefix = component.variants[0].class.split('--')[0];
+  return `${prefix}--${token(ctx, `<?php echo esc_attr(${fieldValue(field, scope)}); ?>`)}`;
+}
+
+// Yields passed to the top-level include of the first "Usage" example
+function exampleYields(schema) {
+  const usage = schema.usage.find(example => /^<include\b/.test(example.code.trim()));
+  if (!usage) return {};
+
+  const include = parse(usage.code).find(node => node && typeof node === 'object' && node.tag === 'include');
+  const yields = {};
+
+  for (const child of (include && include.content) || []) {
+    if (!child || typeof child !== 'object' || child.tag !== 'yield') continue;
+    const content = render(child.content || []);
+    if (content.trim() !== '...') yields[child.attrs.name] = content;
+  }
+
+  return yields;
+}
+
+// Components the markup includes, directly or through other components
+function collectComponents(markup, ctx) {
+  for (const [, name] of markup.matchAll(/<include\s+src="components\/([\w-]+)\//g)) {
+    if (ctx.components.has(name)) continue;
+    ctx.components.add(name);
+
+    const file = resolve(src, 'components', name, `${name}.html`);
+    if (existsSync(file)) collectComponents(readComponentSchema(file, 'utf-8').markup, ctx);
+  }
+}
+
+// --------------------------------------------------------------------------
+// ACF field group and block.json
+// --------------------------------------------------------------------------
+
+function blockJson(schema, blockName, hasScript) {
+  return {
+    $schema: 'https://schemas.wp.org/trunk/block.json',
+    apiVersion: 2,
+    name: blockName,
+    title: displayTitle(schema),
+    category: 'theme',
+    icon: 'layout',
+    acf: {
+      mode: 'preview',
+      renderTemplate: 'render.php'
+    },
+    supports: {
+      anchor: true,
+      align: false,
+      customClassName: true
+    },
+    style: 'file:./style.css',
+    ...(hasScript ? { viewScript: 'file:./view.js' } : {})
+  };
+}
+
+function fieldGroup(schema, blockName, requiredFields) {
+  const prefix = schema.name.replace(/-/g, '_');
+
+  return {
+    key: groupKey(schema),
+    title: `Block: ${displayTitle(schema)}`,
+    fields: schema.acfFields.map(field => fieldJson(field, `field_${prefix}`, `${prefix}_`, requiredFields)),
+    location: [[{ param: 'block', operator: '==', value: blockName }]],
+    menu_order: 0,
+    position: 'normal',
+    style: 'default',
+    label_placement: 'top',
+    instruction_placement: 'label',
+    active: true,
+    description: `Generated from ${relative(__dirname, schema.file)}`
+  };
+}
+
+// labelPrefix: the block name part of field names, left out of labels
+function fieldJson(field, keyPrefix, labelPrefix, requiredFields = new Set()) {
+  const type = fieldType(field);
+  const key = `${keyPrefix}_${field.name}`;
+  const label = field.name.startsWith(labelPrefix) ? field.name.slice(labelPrefix.length) : field.name;
+  const json = {
+    key,
+    label: label.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+    name: field.name,
+    type,
+    instructions: field.note.replace(/^optional,?\s*/i, ''),
+    required: requiredFields.has(field.name) ? 1 : 0
+  };
+
+  switch (type) {
+    case 'select':
+      json.choices = Object.fromEntries(selectChoices(field).map(choice => [choice, choice.charAt(0).toUpperCase() + choice.slice(1)]));
+      json.return_format = 'value';
+      break;
+    case 'image':
+      json.return_format = 'id';
+      json.preview_size = 'medium';
+      break;
+    case 'link':
+      json.return_format = 'array';
+      break;
+    case 'true_false':
+      json.ui = 1;
+      break;
+    case 'repeater':
+      json.layout = 'block';
+      json.button_label = 'Add Row';
+      json.sub_fields = field.children.map(child => fieldJson(child, key, labelPrefix));
+      break;
+    case 'relationship':
+      json.post_type = [relatedPostType(field)];
+      json.filters = ['search'];
+      json.return_format = 'id';
+      break;
+  }
+
+  return json;
+}
+
+// The fields nested under a relationship belong to the posts it picks
+function postTypeGroup(schema, field) {
+  const postType = relatedPostType(field);
+  const prefix = postType.replace(/-/g, '_');
+
+  return {
+    key: `group_post_${prefix}`,
+    title: `Post Type: ${postType.split(/[-_]/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}`,
+    fields: field.children.map(child => fieldJson(child, `field_post_${prefix}`, `${prefix}_`)),
+    location: [[{ param: 'post_type', operator: '==', value: postType }]],
+    menu_order: 0,
+    position: 'normal',
+    style: 'default',
+    label_placement: 'top',
+    instruction_placement: 'label',
+    active: true,
+    description: `Generated from ${relative(__dirname, schema.file)}`
+  };
+}
+
+function groupKey(schema) {
+  return `group_block_${schema.name.replace(/-/g, '_')}`;
+}
+
+// --------------------------------------------------------------------------
+// Styles and scripts
+// --------------------------------------------------------------------------
+
+// The block's SCSS plus the SCSS of every component it renders
+function compileStyles(schema, ctx) {
+  const partials = [`blocks/${schema.name}/${schema.name}`, ...[...ctx.components].sort().map(name => `components/${name}/${name}`)]
+    .filter(partial => existsSync(resolve(src, partial.replace(/([\w-]+)$/, '_$1.scss'))));
+
+  const result = sass.compileString(partials.map(partial => `@use '${partial}';`).join('\n'), {
+    loadPaths: [src],
+    logger: sass.Logger.silent
+  });
+
+  return result.css;
+}
+
+// Bundle the block's init functions into view.js with a WordPress asset file
+async function bundleScripts(schema, blockDir) {
+  const tmp = mkdtempSync(join(tmpdir(), 'wp-export-'));
+  const entry = join(tmp, `${schema.name}.js`);
+
+  writeFileSync(entry, [
+    ...schema.scripts.map(script => `import { ${script.name} } from ${JSON.stringify(resolve(src, script.module))};`),
+    '',
+    'function init() {',
+    ...schema.scripts.map(script => `  ${script.name}();`),
+    '}',
+    '',
+    "if (document.readyState === 'loading') {",
+    "  document.addEventListener('DOMContentLoaded', init);",
+    '} else {',
+    '  init();',
+    '}',
+    ''
+  ].join('\n'));
+
+  try {
+    const [result] = [].concat(await build({
+      configFile: false,
+      root: __dirname,
+      logLevel: 'warn',
+      publicDir: false,
+      build: {
+        outDir: blockDir,
+        emptyOutDir: false,
+        lib: {
+          entry,
+          formats: ['iife'],
+          name: schema.name.replace(/-(\w)/g, (match, char) => char.toUpperCase()),
+          fileName: () => 'view.js'
+        },
+        rollupOptions: {
+          external: Object.keys(SCRIPT_GLOBALS),
+          output: { globals: SCRIPT_GLOBALS }
+        }
+      }
+    }));
+
+    const chunk = result.output.find(output => output.type === 'chunk');
+    const dependencies = [...new Set(chunk.imports.flatMap(id => SCRIPT_HANDLES[id] || []))];
+    const version = createHash('md5').update(chunk.code).digest('hex').slice(0, 20);
+
+    writeFileSync(resolve(blockDir, 'view.asset.php'),
+      `<?php return array('dependencies' => array(${dependencies.map(handle => `'${handle}'`).join(', ')}), 'version' => '${version}');\n`);
+  } finally {
+    rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+// --------------------------------------------------------------------------
+// Helpers
+// --------------------------------------------------------------------------
+
+// Yield "primaryButton" or binding "categoryLabel" -> field "*_primary_button" / "*_category_label"
+function findField(name, fields) {
+  const key = name.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/[.-]/g, '_').toLowerCase();
+  return fields.find(field => field.name === key) ||
+    fields.find(field => field.name.endsWith(`_${key}`)) ||
+    null;
+}
+
+// PHP reading a field in scope: get_field('x'), get_sub_field('x') in a
+// repeater row, get_field('x', $testimonial) for a related post
+function fieldValue(field, scope) {
+  return `${scope.get}('${field.name}'${scope.post ? `, ${scope.post}` : ''})`;
+}
+
+function fieldType(field) {
+  const type = (field.type.match(/^[a-z_]+/) || [])[0];
+  return ACF_TYPES.includes(type) ? type : 'text';
+}
+
+// "select: adult, family, kids"
+function selectChoices(field) {
+  const match = field.type.match(/^select:\s*(.*)$/);
+  return match ? match[1].split(',').map(choice => choice.trim()).filter(Boolean) : [];
+}
+
+// "relationship: testimonial"
+function relatedPostType(field) {
+  const match = field.type.match(/^relationship:\s*([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+function flattenFields(fields) {
+  return fields.flatMap(field => [field, ...flattenFields(field.children)]);
+}
+
+// PHP is kept out of the markup as placeholders until the template is rendered
+function token(ctx, php) {
+  ctx.php.push(php);
+  return `__wp_php_${ctx.php.length - 1}__`;
+}
+
+function hasToken(html) {
+  return /__wp_php_\d+__/.test(html);
+}
+
+function resolveTokens(html, ctx) {
+  return html.replace(/__wp_php_(\d+)__/g, (match, index) => ctx.php[index]);
+}
+
+function parse(html) {
+  return posthtml().process(html, { sync: true }).tree;
+}
+
+function render(nodes) {
+  return posthtml().process(nodes, { sync: true, skipParse: true }).html;
+}
+
+// Depth-first walk; the callback returns false to skip a node's children
+function walk(nodes, callback) {
+  for (const node of nodes || []) {
+    if (!node || typeof node !== 'object') continue;
+    if (callback(node) !== false) walk(node.content, callback);
+  }
+}
+
+function writeJson(file, data) {
+  writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function parseArgs(argv) {
+  const args = { out: null, blocks: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--block') args.blocks.push(argv[++i]);
+  }
+
+  return args;
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});